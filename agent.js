@@ -0,0 +1,141 @@
+// ============================================
+// FLEET AGENT
+// ============================================
+// Lightweight monitoring agent for servers that don't run the bot:
+//
+//   FLEET_URL=https://bot.example.com FLEET_SECRET=... node agent.js
+//
+// Every AGENT_INTERVAL it collects system data and probe results and POSTs
+// a signed heartbeat to the bot, which alerts in the system topic when the
+// server stops reporting or crosses an alert rule. Heartbeats that fail are
+// not retried - the next one carries fresher data anyway.
+
+const os = require('os');
+const { parseProbeTargets } = require('./probes');
+const { SIGNATURE_HEADER, SERVER_ID_PATTERN, signHeartbeat, collectSnapshot } = require('./fleet');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const FLEET_URL = (process.env.FLEET_URL || '').replace(/\/+$/, '');
+const FLEET_SECRET = process.env.FLEET_SECRET || '';
+const FLEET_HEARTBEAT_PATH = '/fleet/heartbeat';
+
+// Defaults to the short hostname; must match SERVER_ID_PATTERN
+const AGENT_ID = process.env.AGENT_ID ||
+  os.hostname().split('.')[0].replace(/[^A-Za-z0-9._-]/g, '-').slice(0, 24);
+const AGENT_INTERVAL = parseInt(process.env.AGENT_INTERVAL, 10) || 30000;
+const AGENT_TIMEOUT = 10000;
+
+// Same probe, disk and power settings as the bot (see bot.js)
+const PROBE_TIMEOUT = parseInt(process.env.PROBE_TIMEOUT, 10) || 5000;
+const PROBE_TARGETS = parseProbeTargets(
+  process.env.PROBE_TARGETS || 'tcp://google.com:443,tcp://cloudflare.com:443,tcp://1.1.1.1:443',
+  PROBE_TIMEOUT
+);
+const DISK_PATH = process.env.DISK_PATH || '/';
+const POWER_OPTIONS = {
+  root: process.env.POWER_SUPPLY_ROOT || '/sys/class/power_supply',
+  ups: process.env.UPS_NAME || null,
+  upscPath: process.env.UPSC_PATH || 'upsc',
+  lowBatteryPercent: parseInt(process.env.LOW_BATTERY_PERCENT, 10) || 20
+};
+
+const STATE = {
+  heartbeatInterval: null,
+  isSending: false,
+  failures: 0
+};
+
+// ============================================
+// HEARTBEATS
+// ============================================
+
+async function sendHeartbeat({ shutdown = false } = {}) {
+  const heartbeat = {
+    serverId: AGENT_ID,
+    sentAt: Date.now(),
+    interval: AGENT_INTERVAL,
+    shutdown,
+    snapshot: shutdown ? null : await collectSnapshot({
+      probeTargets: PROBE_TARGETS,
+      diskPath: DISK_PATH,
+      power: POWER_OPTIONS
+    })
+  };
+  const body = JSON.stringify(heartbeat);
+
+  const response = await fetch(FLEET_URL + FLEET_HEARTBEAT_PATH, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signHeartbeat(body, FLEET_SECRET)
+    },
+    body,
+    signal: AbortSignal.timeout(AGENT_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+}
+
+async function heartbeatLoop() {
+  if (STATE.isSending) return;
+  STATE.isSending = true;
+
+  try {
+    await sendHeartbeat();
+
+    if (STATE.failures > 0) {
+      console.log(`✅ Heartbeats reaching ${FLEET_URL} again after ${STATE.failures} failures`);
+    }
+    STATE.failures = 0;
+  } catch (error) {
+    STATE.failures++;
+    console.error(`❌ Heartbeat failed (${STATE.failures} in a row):`, error.message);
+  } finally {
+    STATE.isSending = false;
+  }
+}
+
+// Tells the bot this is a deliberate stop, so it doesn't report the server down
+async function shutdown(signal) {
+  console.log(`🛑 ${signal} received - stopping agent`);
+  clearInterval(STATE.heartbeatInterval);
+
+  try {
+    await sendHeartbeat({ shutdown: true });
+  } catch (error) {
+    console.error('❌ Could not send shutdown heartbeat:', error.message);
+  }
+
+  process.exit(0);
+}
+
+// ============================================
+// STARTUP
+// ============================================
+
+function startAgent() {
+  if (!FLEET_URL || !FLEET_SECRET) {
+    console.error('❌ FLEET_URL and FLEET_SECRET must be set');
+    process.exit(1);
+  }
+  if (!SERVER_ID_PATTERN.test(AGENT_ID)) {
+    console.error(`❌ AGENT_ID "${AGENT_ID}" must match ${SERVER_ID_PATTERN}`);
+    process.exit(1);
+  }
+
+  console.log(`🛰 Fleet agent "${AGENT_ID}" reporting to ${FLEET_URL} every ${AGENT_INTERVAL / 1000}s`);
+  console.log(`🌐 Probe targets: ${PROBE_TARGETS.map(t => `${t.type}:${t.name}`).join(', ')}`);
+
+  heartbeatLoop();
+  STATE.heartbeatInterval = setInterval(heartbeatLoop, AGENT_INTERVAL);
+
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+startAgent();
@@ -0,0 +1,238 @@
+// ============================================
+// ALERT RULES ENGINE
+// ============================================
+// Threshold rules over the metrics collected by each monitoring check.
+//
+// A rule fires once its condition has held for `for` consecutive checks
+// and resolves once it has been clear for `clearFor` checks. With a
+// `clearThreshold`, "clear" means past that value instead of the firing
+// threshold, which stops a metric hovering at the threshold from flapping.
+//
+// While firing, a rule is re-announced every `repeatMinutes` until someone
+// acknowledges it. Muting silences a rule for a while; a rule that fired
+// unannounced during a mute is announced when the mute ends if it's still
+// firing, and a resolve is only announced if the firing was.
+
+const fs = require('fs').promises;
+
+const METRICS = [
+  'memory.percent',
+  'load.avg1',
+  'load.perCore',
+  'disk.freePercent',
+  'ping.average',
+  'ping.successCount',
+  'ping.failedPercent'
+];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b
+};
+
+const SEVERITIES = ['warning', 'critical'];
+const RULE_ID_PATTERN = /^[a-z0-9_]{1,32}$/;
+
+// ============================================
+// RULES FILE
+// ============================================
+
+// Validates the rules file contents. Throws with every problem found.
+function validateAlertRules(data) {
+  const errors = [];
+  const rules = [];
+  const ids = new Set();
+
+  if (!data || !Array.isArray(data.rules)) {
+    throw new Error('Alert rules must be an object with a "rules" array');
+  }
+
+  const defaultRepeat = data.repeatMinutes ?? 60;
+  if (!Number.isInteger(defaultRepeat) || defaultRepeat < 0) {
+    errors.push('repeatMinutes must be a non-negative integer');
+  }
+
+  data.rules.forEach((r, index) => {
+    const where = `rules[${index}]${r && r.id ? ` (${r.id})` : ''}`;
+
+    if (!r || typeof r !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof r.id !== 'string' || !RULE_ID_PATTERN.test(r.id)) {
+      errors.push(`${where}: id must match ${RULE_ID_PATTERN}`);
+    } else if (ids.has(r.id)) {
+      errors.push(`${where}: duplicate id`);
+    }
+    if (!METRICS.includes(r.metric)) {
+      errors.push(`${where}: metric must be one of ${METRICS.join(', ')}`);
+    }
+    if (!OPERATORS[r.op]) {
+      errors.push(`${where}: op must be one of ${Object.keys(OPERATORS).join(' ')}`);
+    }
+    if (typeof r.threshold !== 'number') {
+      errors.push(`${where}: threshold must be a number`);
+    }
+    if (r.clearThreshold !== undefined && typeof r.clearThreshold !== 'number') {
+      errors.push(`${where}: clearThreshold must be a number`);
+    }
+    for (const field of ['for', 'clearFor']) {
+      if (r[field] !== undefined && (!Number.isInteger(r[field]) || r[field] < 1)) {
+        errors.push(`${where}: ${field} must be a positive integer`);
+      }
+    }
+    if (r.repeatMinutes !== undefined && (!Number.isInteger(r.repeatMinutes) || r.repeatMinutes < 0)) {
+      errors.push(`${where}: repeatMinutes must be a non-negative integer`);
+    }
+    if (r.severity !== undefined && !SEVERITIES.includes(r.severity)) {
+      errors.push(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    ids.add(r.id);
+    rules.push({
+      id: r.id,
+      description: r.description || `${r.metric} ${r.op} ${r.threshold}`,
+      metric: r.metric,
+      op: r.op,
+      threshold: r.threshold,
+      clearThreshold: r.clearThreshold ?? r.threshold,
+      for: r.for || 1,
+      clearFor: r.clearFor || 1,
+      repeatMinutes: r.repeatMinutes ?? defaultRepeat,
+      severity: r.severity || 'warning'
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid alert rules:\n${errors.join('\n')}`);
+  }
+
+  return rules;
+}
+
+async function loadAlertRules(file) {
+  return validateAlertRules(JSON.parse(await fs.readFile(file, 'utf8')));
+}
+
+// ============================================
+// ENGINE
+// ============================================
+
+class AlertEngine {
+  constructor(rules = []) {
+    this.rules = [];
+    this.states = new Map();   // rule id -> evaluation state
+    this.setRules(rules);
+  }
+
+  // Swaps in a new rule set, keeping the state of rules that still exist
+  setRules(rules) {
+    const states = new Map();
+
+    for (const rule of rules) {
+      states.set(rule.id, this.states.get(rule.id) || {
+        status: 'ok',          // ok | pending | firing
+        breaches: 0,
+        clears: 0,
+        value: null,
+        firedAt: null,
+        notifiedAt: null,      // last announcement of the current firing
+        acknowledgedBy: null,
+        mutedUntil: null
+      });
+    }
+
+    this.rules = rules;
+    this.states = states;
+  }
+
+  // Runs every rule against one set of metrics. Returns the events to
+  // announce: { type: 'firing' | 'repeat' | 'resolved', rule, value }.
+  evaluate(metrics, now = Date.now()) {
+    const events = [];
+
+    for (const rule of this.rules) {
+      const value = metrics[rule.metric];
+      if (value === null || value === undefined) continue;
+
+      const state = this.states.get(rule.id);
+      const compare = OPERATORS[rule.op];
+      const muted = state.mutedUntil && state.mutedUntil > now;
+      state.value = value;
+
+      if (state.status !== 'firing') {
+        if (compare(value, rule.threshold)) {
+          state.breaches++;
+          state.status = state.breaches >= rule.for ? 'firing' : 'pending';
+          if (state.status === 'firing') state.firedAt = now;
+        } else {
+          state.breaches = 0;
+          state.status = 'ok';
+        }
+      } else if (!compare(value, rule.clearThreshold)) {
+        state.clears++;
+
+        if (state.clears >= rule.clearFor) {
+          if (state.notifiedAt) {
+            events.push({ type: 'resolved', rule, value, firedAt: state.firedAt });
+          }
+          Object.assign(state, {
+            status: 'ok', breaches: 0, clears: 0, firedAt: null, notifiedAt: null, acknowledgedBy: null
+          });
+          continue;
+        }
+      } else {
+        state.clears = 0;
+      }
+
+      if (state.status !== 'firing' || muted) continue;
+
+      if (!state.notifiedAt) {
+        events.push({ type: 'firing', rule, value });
+        state.notifiedAt = now;
+      } else if (!state.acknowledgedBy && rule.repeatMinutes > 0 &&
+        now - state.notifiedAt >= rule.repeatMinutes * 60000) {
+        events.push({ type: 'repeat', rule, value, firedAt: state.firedAt });
+        state.notifiedAt = now;
+      }
+    }
+
+    return events;
+  }
+
+  // Stops repeats until the rule resolves. Returns false for unknown rules.
+  acknowledge(ruleId, by) {
+    const state = this.states.get(ruleId);
+    if (!state) return false;
+    state.acknowledgedBy = by;
+    return true;
+  }
+
+  mute(ruleId, minutes, now = Date.now()) {
+    const state = this.states.get(ruleId);
+    if (!state) return false;
+    state.mutedUntil = minutes > 0 ? now + minutes * 60000 : null;
+    return true;
+  }
+
+  status(now = Date.now()) {
+    return this.rules.map(rule => {
+      const state = this.states.get(rule.id);
+      return {
+        rule,
+        ...state,
+        muted: Boolean(state.mutedUntil && state.mutedUntil > now)
+      };
+    });
+  }
+}
+
+module.exports = {
+  METRICS,
+  AlertEngine,
+  validateAlertRules,
+  loadAlertRules
+};
@@ -8,11 +8,25 @@ const TelegramBot = require('node-telegram-bot-api');
 const express = require('express');
 const cors = require('cors');
 const os = require('os');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { Store, migrateLegacyFiles } = require('./storage');
+const { parseProbeTargets, runProbes } = require('./probes');
+const { getPowerStatus, detectPowerTransitions } = require('./power');
+const { AlertEngine, loadAlertRules } = require('./alerts');
+const { fetchStarTransactions, reconcileStarTransactions } = require('./reconcile');
+const { createWebhookEvent, WebhookOutbox } = require('./webhooks');
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const {
+  SIGNATURE_HEADER: FLEET_SIGNATURE_HEADER,
+  SERVER_ID_PATTERN,
+  verifyHeartbeat,
+  readDiskFreePercent,
+  buildMetrics,
+  FleetRegistry
+} = require('./fleet');
 
 // ============================================
 // CONFIGURATION
@@ -21,14 +35,76 @@ const path = require('path');
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const WEB_APP_URL = process.env.WEB_APP_URL;
 const HTTP_PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || 'data';
+
+// Bot API base URL - point this at a local stand-in server for testing
+const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
+// Update delivery - "webhook" mode needs BOT_WEBHOOK_URL, a public HTTPS base
+// URL that reaches HTTP_PORT. Polling is the default for local development.
+const BOT_WEBHOOK_URL = process.env.BOT_WEBHOOK_URL || '';
+const BOT_WEBHOOK_PATH = process.env.BOT_WEBHOOK_PATH || '/telegram/webhook';
+const BOT_WEBHOOK_SECRET = process.env.BOT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+const UPDATE_MODE = process.env.UPDATE_MODE || (BOT_WEBHOOK_URL ? 'webhook' : 'polling');
+
+// Mini App authentication - initData older than this is rejected
+const INIT_DATA_MAX_AGE = parseInt(process.env.INIT_DATA_MAX_AGE, 10) || 86400; // seconds
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(o => o.trim())
+  : '*';
+
+// Prometheus scrapes of GET /metrics must send "Authorization: Bearer <token>"
+// when this is set; leave it empty to serve metrics without auth
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
 
 // Telegram Group Logging Configuration
 const LOG_CHAT_ID = process.env.LOG_CHAT_ID;
 const SYSTEM_LOG_TOPIC_ID = 6;      // System monitoring, ping, power status
 const TRANSACTION_LOG_TOPIC_ID = 3;  // Payments, refunds, transactions
 
-// CRITICAL: Your Telegram User ID for admin commands
-const ADMIN_IDS = [123456789]; // REPLACE WITH YOUR TELEGRAM USER ID
+// Admin roles - comma-separated Telegram user IDs per role. Owners can run
+// every command and grant or revoke roles at runtime with /admins.
+const ADMIN_ROLES = ['owner', 'finance', 'support', 'ops'];
+const CONFIGURED_ROLES = {
+  owner: parseIdList(process.env.OWNER_IDS),
+  finance: parseIdList(process.env.FINANCE_IDS),
+  support: parseIdList(process.env.SUPPORT_IDS),
+  ops: parseIdList(process.env.OPS_IDS)
+};
+
+function parseIdList(value) {
+  return (value || '').split(',').map(id => Number(id.trim())).filter(id => Number.isInteger(id) && id > 0);
+}
+
+// Invoice status streams - comment lines keep idle SSE connections open
+const INVOICE_STREAM_HEARTBEAT = 25000; // 25 seconds
+
+// Network probes - comma-separated tcp://host:port, http(s)://url, dns:name
+// or dns://server/name targets; add ?timeout=ms to override PROBE_TIMEOUT
+const PROBE_TIMEOUT = parseInt(process.env.PROBE_TIMEOUT, 10) || 5000;
+const PROBE_TARGETS = parseProbeTargets(
+  process.env.PROBE_TARGETS || 'tcp://google.com:443,tcp://cloudflare.com:443,tcp://1.1.1.1:443',
+  PROBE_TIMEOUT
+);
+
+// Power detection - sysfs root is configurable so a fake tree can stand in
+// for testing. Set UPS_NAME (e.g. "myups@localhost") to read a NUT UPS.
+const POWER_SUPPLY_ROOT = process.env.POWER_SUPPLY_ROOT || '/sys/class/power_supply';
+const UPS_NAME = process.env.UPS_NAME || null;
+const UPSC_PATH = process.env.UPSC_PATH || 'upsc';
+const LOW_BATTERY_PERCENT = parseInt(process.env.LOW_BATTERY_PERCENT, 10) || 20;
+
+// Alert rules - evaluated on every monitoring check, see alerts.js
+const ALERT_RULES_FILE = process.env.ALERT_RULES_FILE || path.join(__dirname, 'alerts.json');
+const ALERT_MUTE_OPTIONS = [30, 240]; // minutes, offered as buttons on alerts
+const DISK_PATH = process.env.DISK_PATH || '/';
+
+// Fleet monitoring - agents (agent.js) on other servers POST heartbeats
+// signed with this shared secret. Leave it empty to disable the endpoint.
+const FLEET_SECRET = process.env.FLEET_SECRET || '';
+const FLEET_HEARTBEAT_PATH = '/fleet/heartbeat';
+const FLEET_MISSED_HEARTBEATS = parseInt(process.env.FLEET_MISSED_HEARTBEATS, 10) || 3;
+const FLEET_CHECK_INTERVAL = 15000;
 
 // Monitoring Configuration
 const PING_CHECK_INTERVAL = 30000;
@@ -36,103 +112,202 @@ const PING_SPIKE_THRESHOLD = 100;
 const PING_HISTORY_SIZE = 10;
 const STATUS_UPDATE_INTERVAL = 3600000;
 
+// Readiness checks (GET /readyz) - any failing check answers 503
+const READY_CHECK_TIMEOUT = parseInt(process.env.READY_CHECK_TIMEOUT, 10) || 5000;
+const READY_MAX_UPDATE_AGE = parseInt(process.env.READY_MAX_UPDATE_AGE, 10) || 120000; // ms without a successful poll
+const READY_MAX_PENDING_DELIVERIES = parseInt(process.env.READY_MAX_PENDING_DELIVERIES, 10) || 50;
+const READY_MAX_MONITORING_AGE = PING_CHECK_INTERVAL * 3;
+
+// Coin Redelivery Configuration
+const DELIVERY_RETRY_INTERVAL = 15000;     // How often the queue is scanned
+const DELIVERY_RETRY_BASE_DELAY = 30000;   // First retry delay, doubled per attempt
+const DELIVERY_RETRY_MAX_DELAY = 3600000;
+const DELIVERY_MAX_ATTEMPTS = 8;
+
+// Outgoing Webhooks - payment events POSTed to the game backend, signed
+// with WEBHOOK_SECRET. WEBHOOK_URLS is a comma-separated list.
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_EVENT_TYPES = ['payment.succeeded', 'payment.refunded', 'delivery.failed', 'invoice.created'];
+const WEBHOOK_EVENTS = process.env.WEBHOOK_EVENTS
+  ? process.env.WEBHOOK_EVENTS.split(',').map(e => e.trim())
+  : WEBHOOK_EVENT_TYPES;
+const WEBHOOK_TIMEOUT = 10000;
+const WEBHOOK_RETRY_INTERVAL = 15000;     // How often the outbox is scanned
+const WEBHOOK_RETRY_BASE_DELAY = 30000;   // First retry delay, doubled per attempt
+const WEBHOOK_RETRY_MAX_DELAY = 3600000;
+const WEBHOOK_MAX_ATTEMPTS = 10;
+
+// Data Retention - old records are deleted hourly. Funnel events go a whole
+// invoice at a time, so /funnel has nothing on invoices older than this.
+const FUNNEL_RETENTION_DAYS = parseInt(process.env.FUNNEL_RETENTION_DAYS, 10) || 180;
+const WEBHOOK_OUTBOX_RETENTION_DAYS = parseInt(process.env.WEBHOOK_OUTBOX_RETENTION_DAYS, 10) || 7; // delivered rows only
+const UPDATE_INBOX_RETENTION_DAYS = parseInt(process.env.UPDATE_INBOX_RETENTION_DAYS, 10) || 7;     // handled rows only
+const RETENTION_INTERVAL = 3600000;
+
+// Fraud Rule Defaults - tunable at runtime with /fraud set (0 disables a rule)
+const FRAUD_RULE_DEFAULTS = {
+  maxStarsPerHour: 5000,
+  maxStarsPerDay: 20000,
+  maxInvoicesPerMinute: 10,
+  newAccountHours: 24,        // Users first seen less than this long ago...
+  newAccountMaxStars: 1000,   // ...can spend at most this much per day
+  maxRefunds: 3,              // Decline users with this many refunds...
+  refundWindowDays: 30        // ...within this many days
+};
+
+// Stars Reconciliation Configuration
+const RECONCILE_INTERVAL = 21600000;       // Scheduled run every 6 hours
+const RECONCILE_LOOKBACK = 172800000;      // Default window: last 48 hours
+
 // ============================================
-// PRODUCT CATALOG - MATCHES WEBAPP (13 products)
+// PRODUCT CATALOG - loaded from PRODUCTS_FILE, served to the WebApp via GET /products
 // ============================================
 
-const PRODUCTS = {
-  package_tiny: {
-    id: "package_tiny",
-    stars: 1,
-    coins: 10,
-    title: "Tiny Package",
-    description: "10 Void Coins"
-  },
-  package_mini: {
-    id: "package_mini",
-    stars: 25,
-    coins: 250,
-    title: "Mini Package",
-    description: "250 Void Coins"
-  },
-  package_small: {
-    id: "package_small",
-    stars: 50,
-    coins: 500,
-    title: "Small Package",
-    description: "500 Void Coins"
-  },
-  package_bit: {
-    id: "package_bit",
-    stars: 75,
-    coins: 750,
-    title: "Bit Package",
-    description: "750 Void Coins"
-  },
-  package_medium: {
-    id: "package_medium",
-    stars: 100,
-    coins: 1000,
-    title: "Medium Package",
-    description: "1000 Void Coins"
-  },
-  package_biggermedium: {
-    id: "package_biggermedium",
-    stars: 250,
-    coins: 2500,
-    title: "Bigger Medium Package",
-    description: "2500 Void Coins"
-  },
-  package_moderate: {
-    id: "package_moderate",
-    stars: 500,
-    coins: 5000,
-    title: "Moderate Package",
-    description: "5000 Void Coins"
-  },
-  package_large: {
-    id: "package_large",
-    stars: 750,
-    coins: 7500,
-    title: "Large Package",
-    description: "7500 Void Coins"
-  },
-  package_superlarge: {
-    id: "package_superlarge",
-    stars: 1000,
-    coins: 10000,
-    title: "Super Large Package",
-    description: "10000 Void Coins"
-  },
-  package_huge: {
-    id: "package_huge",
-    stars: 2500,
-    coins: 25000,
-    title: "Huge Package",
-    description: "25000 Void Coins"
-  },
-  package_xlsize: {
-    id: "package_xlsize",
-    stars: 5000,
-    coins: 50000,
-    title: "XL Package",
-    description: "50000 Void Coins"
-  },
-  package_mega: {
-    id: "package_mega",
-    stars: 7500,
-    coins: 75000,
-    title: "Mega Package",
-    description: "75000 Void Coins"
-  },
-  package_giant: {
-    id: "package_giant",
-    stars: 10000,
-    coins: 100000,
-    title: "Giant Package",
-    description: "100000 Void Coins"
+const PRODUCTS_FILE = process.env.PRODUCTS_FILE || path.join(__dirname, 'products.json');
+// Product IDs ride along in the invoice payload (max 128 bytes) next to the
+// user ID, promo code and invoice ID, so keep them short
+const PRODUCT_ID_MAX_LENGTH = 24;
+const PRODUCT_ID_PATTERN = new RegExp(`^[a-z0-9_]{1,${PRODUCT_ID_MAX_LENGTH}}$`);
+const INVOICE_PAYLOAD_MAX_BYTES = 128;
+const PRODUCT_EDITABLE_FIELDS = ['title', 'description', 'stars', 'coins', 'sortOrder', 'icon', 'badge', 'enabled', 'type'];
+const PRODUCT_TYPES = ['one_time', 'subscription'];
+
+// Telegram only supports 30-day Star subscriptions, priced at most 2500 Stars
+const SUBSCRIPTION_PERIOD = 2592000; // seconds
+const SUBSCRIPTION_MAX_STARS = 2500;
+const SUBSCRIPTION_GRACE_PERIOD = 86400000; // Renewals can land a little after expiry
+
+// productId -> product. Replaced as a whole on every (re)load.
+let PRODUCTS = {};
+
+// Validates the catalog file contents and returns a productId -> product map.
+// Throws with every problem found so a bad edit is easy to fix.
+function validateCatalog(data) {
+  const errors = [];
+  const products = {};
+  
+  if (!data || !Array.isArray(data.products)) {
+    throw new Error('Catalog must be an object with a "products" array');
   }
-};
+  
+  data.products.forEach((p, index) => {
+    const where = `products[${index}]${p && p.id ? ` (${p.id})` : ''}`;
+    
+    if (!p || typeof p !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof p.id !== 'string' || !PRODUCT_ID_PATTERN.test(p.id)) {
+      errors.push(`${where}: id must match ${PRODUCT_ID_PATTERN}`);
+    } else if (products[p.id]) {
+      errors.push(`${where}: duplicate id`);
+    }
+    if (typeof p.title !== 'string' || !p.title.trim()) {
+      errors.push(`${where}: title is required`);
+    }
+    if (p.description !== undefined && typeof p.description !== 'string') {
+      errors.push(`${where}: description must be a string`);
+    }
+    if (!Number.isInteger(p.stars) || p.stars < 1) {
+      errors.push(`${where}: stars must be a positive integer`);
+    }
+    if (!Number.isInteger(p.coins) || p.coins < 1) {
+      errors.push(`${where}: coins must be a positive integer`);
+    }
+    if (p.type !== undefined && !PRODUCT_TYPES.includes(p.type)) {
+      errors.push(`${where}: type must be one of ${PRODUCT_TYPES.join(', ')}`);
+    } else if (p.type === 'subscription' && p.stars > SUBSCRIPTION_MAX_STARS) {
+      errors.push(`${where}: subscriptions can cost at most ${SUBSCRIPTION_MAX_STARS} stars`);
+    }
+    if (p.enabled !== undefined && typeof p.enabled !== 'boolean') {
+      errors.push(`${where}: enabled must be true or false`);
+    }
+    if (p.sortOrder !== undefined && !Number.isInteger(p.sortOrder)) {
+      errors.push(`${where}: sortOrder must be an integer`);
+    }
+    for (const field of ['icon', 'badge']) {
+      if (p[field] !== undefined && p[field] !== null && typeof p[field] !== 'string') {
+        errors.push(`${where}: ${field} must be a string`);
+      }
+    }
+    
+    products[p.id] = {
+      id: p.id,
+      title: p.title,
+      description: p.description || `${p.coins} Void Coins`,
+      stars: p.stars,
+      coins: p.coins,
+      type: p.type || 'one_time',
+      enabled: p.enabled !== false,
+      sortOrder: p.sortOrder ?? (index + 1) * 10,
+      icon: p.icon || null,
+      badge: p.badge || null
+    };
+  });
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid product catalog:\n${errors.join('\n')}`);
+  }
+  
+  return products;
+}
+
+function getSortedProducts({ includeDisabled = false } = {}) {
+  return Object.values(PRODUCTS)
+    .filter(p => includeDisabled || p.enabled)
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.stars - b.stars);
+}
+
+async function loadCatalog() {
+  const data = JSON.parse(await fs.readFile(PRODUCTS_FILE, 'utf8'));
+  PRODUCTS = validateCatalog(data);
+  console.log(`📦 Product catalog loaded: ${getSortedProducts().length} enabled, ${Object.keys(PRODUCTS).length} total`);
+}
+
+// Serializes catalog writes from concurrent admin commands
+let catalogWriteQueue = Promise.resolve();
+
+// Validates and atomically writes the catalog, then swaps it in
+function saveCatalog(products) {
+  const task = catalogWriteQueue.then(async () => {
+    const data = {
+      products: Object.values(products)
+        .sort((a, b) => a.sortOrder - b.sortOrder)
+        .map(({ icon, badge, ...p }) => ({
+          ...p,
+          ...(icon ? { icon } : {}),
+          ...(badge ? { badge } : {})
+        }))
+    };
+    
+    const validated = validateCatalog(data);
+    const tmp = PRODUCTS_FILE + '.tmp';
+    
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n');
+    await fs.rename(tmp, PRODUCTS_FILE);
+    
+    PRODUCTS = validated;
+  });
+  
+  catalogWriteQueue = task.catch(() => {});
+  return task;
+}
+
+// Picks up edits made directly to the file. A broken edit keeps the
+// previous catalog live and is reported to the system log.
+function watchCatalog() {
+  require('fs').watchFile(PRODUCTS_FILE, { interval: 2000 }, async (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    
+    try {
+      await loadCatalog();
+    } catch (error) {
+      console.error('❌ Product catalog reload failed:', error.message);
+      await sendErrorLog(error, 'Product Catalog Reload');
+    }
+  });
+}
 
 // ============================================
 // GLOBAL STATE
@@ -141,34 +316,171 @@ const PRODUCTS = {
 const STATE = {
   userSessions: new Map(),
   pingHistory: [],
+  lastPingData: null,
   lastPowerStatus: null,
   serverStartTime: Date.now(),
+  updateMode: null, // 'webhook' or 'polling' once startUpdates() has run
   isMonitoring: false,
   monitoringInterval: null,
   statusUpdateInterval: null,
-  pendingPayments: new Map() // Track payment_id -> {userId, productId, timestamp}
+  pendingPayments: new Map(), // Track payment_id -> {userId, productId, timestamp}
+  processingCharges: new Set(), // Charge IDs currently being handled by handleSuccessfulPayment
+  deliveryQueueInterval: null,
+  isProcessingDeliveries: false,
+  invoiceTimestamps: new Map(), // userId -> recent invoice creation times, for velocity rules
+  invoiceStreams: new Map(), // invoiceId -> Set of open SSE responses
+  promoHolds: new Map(), // invoiceId -> { code, userId, expiresAt } - see validatePromo
+  webhookOutboxInterval: null,
+  reconcileInterval: null,
+  isReconciling: false,
+  lastReconciliation: null,
+  starTransactionsCursor: null, // { since, offset } - see fetchStarTransactions in reconcile.js
+  lastUpdateAt: null, // last update received, by polling or webhook
+  lastMonitoringRun: null,
+  lastMetrics: null, // this host's alert metrics from the last monitoring check
+  fleetInterval: null
 };
 
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
+// Updates (polling or webhook) start in startBot() once the store is open and migrated
+const bot = new TelegramBot(BOT_TOKEN, {
+  polling: { autoStart: false },
+  baseApiUrl: TELEGRAM_API_URL
+});
+
+// Polled and webhook updates both pass through processUpdate
+const processUpdate = bot.processUpdate.bind(bot);
+bot.processUpdate = update => {
+  STATE.lastUpdateAt = Date.now();
+  return processUpdate(update);
+};
 const app = express();
+const store = new Store({ dir: DATA_DIR });
 
 // ============================================
 // EXPRESS MIDDLEWARE
 // ============================================
 
 app.use(cors({
-  origin: '*', // Allow all origins (you can restrict this to your domain)
+  origin: CORS_ORIGINS, // Comma-separated CORS_ORIGINS env, defaults to all origins
   methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Telegram-Init-Data']
 }));
 
-app.use(express.json());
+// Keeps the raw body for signature checks (fleet heartbeats)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Verifies Telegram.WebApp.initData as described in
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+function verifyInitData(initData) {
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  
+  if (!hash) {
+    throw new Error('initData has no hash');
+  }
+  
+  params.delete('hash');
+  
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(BOT_TOKEN).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+  const received = Buffer.from(hash, 'hex');
+  
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new Error('initData signature mismatch');
+  }
+  
+  const authDate = parseInt(params.get('auth_date'), 10);
+  const age = Math.floor(Date.now() / 1000) - authDate;
+  
+  if (!authDate || age > INIT_DATA_MAX_AGE) {
+    throw new Error('initData expired');
+  }
+  
+  const user = JSON.parse(params.get('user') || 'null');
+  
+  if (!user || !user.id) {
+    throw new Error('initData has no user');
+  }
+  
+  return { user, authDate, queryId: params.get('query_id') };
+}
+
+// Reads initData from "Authorization: tma <initData>", the X-Telegram-Init-Data
+// header, or an initData field in the body/query (for clients that can't set headers)
+function extractInitData(req) {
+  const authorization = req.get('Authorization');
+  
+  if (authorization && authorization.startsWith('tma ')) {
+    return authorization.slice(4);
+  }
+  
+  return req.get('X-Telegram-Init-Data') || req.body?.initData || req.query.initData || null;
+}
+
+// Middleware for Mini App endpoints: rejects unsigned or stale requests and
+// exposes the verified user as req.telegramUser / req.userId
+function requireTelegramAuth(req, res, next) {
+  const initData = extractInitData(req);
+  
+  if (!initData) {
+    return res.status(401).json({ error: 'Missing Telegram initData' });
+  }
+  
+  try {
+    const { user } = verifyInitData(initData);
+    req.telegramUser = user;
+    req.userId = user.id;
+    rememberUser(user).catch(error => console.error('❌ Error remembering user:', error));
+    next();
+  } catch (error) {
+    console.log(`🔒 Rejected ${req.method} ${req.path}: ${error.message}`);
+    res.status(401).json({ error: 'Invalid Telegram initData' });
+  }
+}
 
 // ============================================
 // SYSTEM MONITORING FUNCTIONS
 // ============================================
 
-function getPowerSource() {
+async function refreshPowerStatus() {
+  return getPowerStatus({
+    root: POWER_SUPPLY_ROOT,
+    ups: UPS_NAME,
+    upscPath: UPSC_PATH,
+    lowBatteryPercent: LOW_BATTERY_PERCENT
+  });
+}
+
+function formatBattery(battery) {
+  if (!battery || battery.percent === null) return '';
+  
+  const state = battery.charging ? 'charging' : (battery.status || '').toLowerCase() || 'unknown';
+  const remaining = battery.timeRemaining ? `, ${formatDuration(battery.timeRemaining * 1000)} ${battery.charging ? 'to full' : 'left'}` : '';
+  return `${battery.percent}% (${state}${remaining})`;
+}
+
+// Describes the last power reading; falls back to a hosting guess when the
+// machine has no power supplies to read (typical for cloud VMs)
+function getPowerSource(status = STATE.lastPowerStatus) {
+  if (status && status.onBattery !== null) {
+    const source = status.ups ? `UPS ${status.ups.name}` : 'AC Power';
+    const battery = formatBattery(status.battery);
+    
+    if (status.onBattery) {
+      return `🔋 Battery${status.ups ? ` (${status.ups.name})` : ''} ${battery}${status.lowBattery ? ' ⚠️ LOW' : ''}`.trim();
+    }
+    return `🔌 ${source}${battery ? `, battery ${battery}` : ''}`;
+  }
+  
   const platform = os.platform();
   
   if (platform === 'win32') {
@@ -176,26 +488,22 @@ function getPowerSource() {
   } else if (platform === 'darwin') {
     return 'AC Power (macOS)';
   } else if (platform === 'linux') {
-    try {
-      const hostname = os.hostname().toLowerCase();
-      
-      if (hostname.includes('heroku')) return 'Heroku Cloud';
-      if (hostname.includes('aws') || hostname.includes('ec2')) return 'AWS Cloud';
-      if (hostname.includes('azure')) return 'Azure Cloud';
-      if (hostname.includes('google') || hostname.includes('gcp')) return 'Google Cloud';
-      if (hostname.includes('digital')) return 'DigitalOcean';
-      if (hostname.includes('linode')) return 'Linode';
-      
-      return 'Linux Server/VPS';
-    } catch (error) {
-      return 'Linux Server';
-    }
+    const hostname = os.hostname().toLowerCase();
+    
+    if (hostname.includes('heroku')) return 'Heroku Cloud';
+    if (hostname.includes('aws') || hostname.includes('ec2')) return 'AWS Cloud';
+    if (hostname.includes('azure')) return 'Azure Cloud';
+    if (hostname.includes('google') || hostname.includes('gcp')) return 'Google Cloud';
+    if (hostname.includes('digital')) return 'DigitalOcean';
+    if (hostname.includes('linode')) return 'Linode';
+    
+    return 'Linux Server/VPS';
   } else {
     return `${platform} System`;
   }
 }
 
-function getSystemInfo() {
+function getSystemInfo(power = STATE.lastPowerStatus) {
   const uptime = os.uptime();
   const totalMem = os.totalmem();
   const freeMem = os.freemem();
@@ -225,40 +533,25 @@ function getSystemInfo() {
     cpuCores: cpuCount,
     architecture: os.arch(),
     nodeVersion: process.version,
-    powerSource: getPowerSource()
+    powerSource: getPowerSource(power)
   };
 }
 
-async function pingHost(host = 'google.com') {
-  const platform = os.platform();
-  const pingCommand = platform === 'win32' 
-    ? `ping -n 1 ${host}` 
-    : `ping -c 1 ${host}`;
-  
-  try {
-    const startTime = Date.now();
-    await execPromise(pingCommand);
-    const pingTime = Date.now() - startTime;
-    return { success: true, time: pingTime, host };
-  } catch (error) {
-    return { success: false, time: null, host, error: error.message };
-  }
-}
-
 async function checkNetworkPing() {
-  const hosts = ['google.com', 'cloudflare.com', '1.1.1.1'];
-  const results = await Promise.all(hosts.map(host => pingHost(host)));
+  const results = await runProbes(PROBE_TARGETS);
   
   const successfulPings = results.filter(r => r.success);
   const avgPing = successfulPings.length > 0
     ? Math.round(successfulPings.reduce((sum, r) => sum + r.time, 0) / successfulPings.length)
     : null;
   
-  return {
+  STATE.lastPingData = {
     average: avgPing,
     results: results,
     timestamp: Date.now()
   };
+  
+  return STATE.lastPingData;
 }
 
 function detectPingSpike(currentPing) {
@@ -275,6 +568,14 @@ function detectPingSpike(currentPing) {
 // LOGGING FUNCTIONS
 // ============================================
 
+// For user-supplied text inside HTML-formatted messages
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 async function sendSystemLog(message, options = {}) {
   try {
     await bot.sendMessage(LOG_CHAT_ID, message, {
@@ -334,9 +635,9 @@ function formatPingInfo(pingData) {
   
   results.forEach(r => {
     if (r.success) {
-      message += `• ${r.host}: ${r.time}ms ✅\n`;
+      message += `• ${escapeHtml(r.host)} (${r.type}): ${r.time}ms ✅\n`;
     } else {
-      message += `• ${r.host}: FAILED ❌\n`;
+      message += `• ${escapeHtml(r.host)} (${r.type}): FAILED ❌ ${escapeHtml(r.error)}\n`;
     }
   });
   
@@ -383,13 +684,21 @@ async function sendPingSpikeAlert(currentPing, avgPing, spike) {
   await sendSystemLog(message);
 }
 
-async function sendPowerStatusChange(newStatus) {
+const POWER_ALERTS = {
+  on_battery: '🪫 <b>POWER LOST - RUNNING ON BATTERY</b>',
+  low_battery: '🚨 <b>LOW BATTERY</b>',
+  ac_restored: '🔌 <b>AC POWER RESTORED</b>'
+};
+
+async function sendPowerStatusChange(transition, status) {
+  const battery = formatBattery(status.battery);
+  
   const message = `
-🔄 <b>POWER STATUS CHANGE</b>
+${POWER_ALERTS[transition]}
 ━━━━━━━━━━━━━━━━━━━━
 
-<b>New Status:</b> ${newStatus}
-<b>Previous:</b> ${STATE.lastPowerStatus || 'Unknown'}
+<b>New Status:</b> ${getPowerSource(status)}
+<b>Previous:</b> ${STATE.lastPowerStatus ? getPowerSource(STATE.lastPowerStatus) : 'Unknown'}${battery ? `\n<b>Battery:</b> ${battery}` : ''}${status.ups ? `\n<b>UPS Status:</b> ${status.ups.status}` : ''}
 
 🕐 <b>Time:</b> ${new Date().toLocaleString()}
   `.trim();
@@ -443,7 +752,7 @@ async function sendErrorLog(error, context = '') {
 // TRANSACTION LOGGING
 // ============================================
 
-async function logTransactionToChannel(userId, username, payment, product, status = 'success') {
+async function logTransactionToChannel(userId, username, payment, product, status = 'success', extra = {}) {
   try {
     const user = username ? `@${username}` : `User ID: ${userId}`;
     const timestamp = new Date().toISOString();
@@ -457,7 +766,7 @@ async function logTransactionToChannel(userId, username, payment, product, statu
 
 👤 <b>User:</b> ${user}
 🆔 <b>User ID:</b> <code>${userId}</code>
-📦 <b>Product:</b> ${product.title}
+📦 <b>Product:</b> ${escapeHtml(product.title)}
 💎 <b>Product ID:</b> <code>${product.id}</code>
 ⭐ <b>Stars Paid:</b> ${product.stars}
 🪙 <b>Coins Delivered:</b> ${product.coins}
@@ -466,7 +775,46 @@ async function logTransactionToChannel(userId, username, payment, product, statu
 📅 <b>Date:</b> ${timestamp}
 
 <b>Method:</b> openInvoice (Direct Popup)
-<b>Status:</b> Coins added via Cloud Storage
+<b>Status:</b> Coins credited to ledger
+`;
+    } else if (status === 'gift') {
+      message = `
+🎁 <b>GIFT PURCHASED</b>
+━━━━━━━━━━━━━━━━━━━━
+
+👤 <b>Buyer:</b> ${user}
+🆔 <b>Buyer ID:</b> <code>${userId}</code>
+🎯 <b>Recipient ID:</b> <code>${extra.recipientId}</code>
+📦 <b>Product:</b> ${escapeHtml(product.title)}
+💎 <b>Product ID:</b> <code>${product.id}</code>
+⭐ <b>Stars Paid:</b> ${product.stars}
+🪙 <b>Coins Delivered:</b> ${product.coins} (to recipient)
+💬 <b>Message:</b> ${extra.message ? escapeHtml(extra.message) : '-'}
+🔢 <b>Gift:</b> #${extra.giftId}
+💳 <b>Charge ID:</b> <code>${payment.telegram_payment_charge_id}</code>
+🔗 <b>Provider Charge ID:</b> <code>${payment.provider_payment_charge_id}</code>
+📅 <b>Date:</b> ${timestamp}
+
+<b>Status:</b> Coins credited to recipient's ledger
+`;
+    } else if (status === 'subscription_started' || status === 'subscription_renewed') {
+      const renewal = status === 'subscription_renewed';
+      message = `
+${renewal ? '🔄 <b>SUBSCRIPTION RENEWED</b>' : '🔁 <b>SUBSCRIPTION STARTED</b>'}
+━━━━━━━━━━━━━━━━━━━━
+
+👤 <b>User:</b> ${user}
+🆔 <b>User ID:</b> <code>${userId}</code>
+📦 <b>Product:</b> ${escapeHtml(product.title)}
+💎 <b>Product ID:</b> <code>${product.id}</code>
+⭐ <b>Stars Paid:</b> ${product.stars}
+🪙 <b>Coins Delivered:</b> ${product.coins}
+🔢 <b>Subscription:</b> #${extra.subscriptionId}${renewal ? ` (renewal ${extra.renewals})` : ' (first payment)'}
+⏳ <b>Next Renewal:</b> ${new Date(extra.expiresAt).toISOString()}
+💳 <b>Charge ID:</b> <code>${payment.telegram_payment_charge_id}</code>
+📅 <b>Date:</b> ${timestamp}
+
+<b>Status:</b> Monthly allowance credited to ledger
 `;
     } else if (status === 'failed') {
       message = `
@@ -475,7 +823,7 @@ async function logTransactionToChannel(userId, username, payment, product, statu
 
 👤 <b>User:</b> ${user}
 🆔 <b>User ID:</b> <code>${userId}</code>
-📦 <b>Product:</b> ${product.title}
+📦 <b>Product:</b> ${escapeHtml(product.title)}
 💎 <b>Product ID:</b> <code>${product.id}</code>
 ⭐ <b>Stars:</b> ${product.stars}
 🪙 <b>Coins:</b> ${product.coins}
@@ -490,7 +838,7 @@ async function logTransactionToChannel(userId, username, payment, product, statu
 
 👤 <b>User:</b> ${user}
 🆔 <b>User ID:</b> <code>${userId}</code>
-📦 <b>Product:</b> ${product.title}
+📦 <b>Product:</b> ${escapeHtml(product.title)}
 💎 <b>Product ID:</b> <code>${product.id}</code>
 ⭐ <b>Stars:</b> ${product.stars}
 🪙 <b>Coins:</b> ${product.coins}
@@ -513,257 +861,3106 @@ async function logTransactionToChannel(userId, username, payment, product, statu
 // DATABASE FUNCTIONS
 // ============================================
 
-async function savePaymentRecord(userId, chargeId, productId, spentStars, coinsDelivered, createdAt) {
+async function savePaymentRecord(userId, chargeId, productId, spentStars, coinsDelivered, createdAt, extra = {}) {
   try {
-    let payments = [];
-    try {
-      const data = await fs.readFile('payments.json', 'utf8');
-      payments = JSON.parse(data);
-    } catch (e) {
-      // File doesn't exist yet
-    }
-    
-    const payment = {
-      id: payments.length + 1,
-      userId,
-      chargeId,
-      productId,
-      spentStars,
-      coinsDelivered,
-      createdAt,
-      timestamp: new Date().toISOString(),
-      refunded: false
-    };
-    
-    payments.push(payment);
-    await fs.writeFile('payments.json', JSON.stringify(payments, null, 2));
+    const payment = await store.transaction(async tx => {
+      const existing = await store.findOne('payments', 'chargeId', chargeId);
+      if (existing) {
+        console.log('ℹ️ Payment already recorded, skipping:', chargeId);
+        return existing;
+      }
+      
+      return tx.insert('payments', {
+        userId,
+        chargeId,
+        productId,
+        spentStars,
+        coinsDelivered,
+        createdAt,
+        ...extra,
+        timestamp: new Date().toISOString(),
+        refunded: false
+      });
+    });
     
     console.log('💾 Payment saved to database:', payment.id);
+    return payment;
     
   } catch (error) {
     console.error('❌ Error saving payment:', error);
   }
 }
 
-async function addCoinsViaCloudStorage(userId, coins) {
-  try {
-    console.log(`💰 Adding ${coins} coins to user ${userId} via Cloud Storage`);
+async function findPaymentByChargeId(chargeId) {
+  return store.findOne('payments', 'chargeId', chargeId);
+}
+
+// Marks a payment refunded and records the refund in one transaction.
+// Returns null if the charge was already refunded. Refunds for charges with
+// no payment record are still recorded when details.userId is given.
+async function recordRefund(chargeId, details = {}) {
+  const refund = await store.transaction(async tx => {
+    if (await store.findOne('refunds', 'chargeId', chargeId)) {
+      return null;
+    }
     
-    // Send success message with button to open app
-    await bot.sendMessage(userId,
-      `✅ <b>Payment Successful!</b>\n\n` +
-      `${coins} 🪙 Void Coins have been added to your account!\n\n` +
-      `Open the app to see your new balance.`,
-      {
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [[
-            {
-              text: '🎮 Open App & Collect Coins',
-              web_app: { url: `${WEB_APP_URL}?coins=${coins}&uid=${userId}&t=${Date.now()}` }
-            }
-          ]]
-        }
-      }
-    );
+    const payment = await store.findOne('payments', 'chargeId', chargeId);
     
-    return true;
+    if (!payment && !details.userId) {
+      throw new Error(`Payment not found: ${chargeId}`);
+    }
     
-  } catch (error) {
-    console.error('❌ Error sending coin notification:', error);
-    return false;
+    if (payment?.refunded) {
+      return null;
+    }
+    
+    const refundedAt = new Date().toISOString();
+    
+    if (payment) {
+      tx.update('payments', payment.id, { refunded: true, refundedAt });
+    }
+    
+    return tx.insert('refunds', {
+      userId: payment ? payment.userId : details.userId,
+      chargeId,
+      productId: payment ? payment.productId : null,
+      stars: payment ? payment.spentStars : details.stars,
+      source: details.source || 'admin',
+      processedBy: details.processedBy || null,
+      paymentFound: Boolean(payment),
+      timestamp: refundedAt
+    });
+  });
+  
+  if (refund) {
+    METRICS.refunds.inc({ product_id: refund.productId || 'unknown' });
+    METRICS.starsRefunded.inc({ product_id: refund.productId || 'unknown' }, refund.stars || 0);
   }
+  
+  return refund;
 }
 
-function logFailedDelivery(userId, chargeId, error) {
-  const logEntry = {
-    userId,
+// Escalates a payment whose delivery gave up. If the coins did reach the
+// ledger only the user's message failed, which needs no refund. invoiceId
+// is only needed when the payment never made it into the store.
+async function logFailedDelivery(userId, chargeId, error, attempts = 1, invoiceId = null) {
+  let payment = null;
+  let credited = false;
+  
+  try {
+    payment = await findPaymentByChargeId(chargeId);
+    credited = (await store.find('ledger', 'chargeId', chargeId))
+      .some(e => e.reason === 'purchase' || e.reason === 'gift');
+    invoiceId = invoiceId || payment?.invoiceId || null;
+    
+    if (!credited) {
+      await store.insert('failedDeliveries', {
+        userId,
+        chargeId,
+        invoiceId,
+        error: error.toString(),
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (storeError) {
+    console.error('❌ Error recording failed delivery:', storeError);
+  }
+  
+  // Only the user's message failed - the coins are in the ledger
+  if (credited) {
+    await sendTransactionLog(`
+📭 <b>DELIVERY MESSAGE FAILED</b>
+
+👤 <b>User ID:</b> <code>${userId}</code>
+💳 <b>Charge ID:</b> <code>${chargeId}</code>
+❌ <b>Error:</b> ${escapeHtml(error.toString())}
+🔁 <b>Attempts:</b> ${attempts}
+📅 <b>Time:</b> ${new Date().toISOString()}
+
+✅ Coins are credited to the ledger - no refund needed.
+The user couldn't be messaged (blocked the bot?) and will see the coins in the Mini App.
+`);
+    
+    console.error(`📭 Delivery message failed: User ${userId}, Charge ${chargeId}, Error: ${error}`);
+    return;
+  }
+  
+  METRICS.deliveriesFailed.inc({ product_id: payment?.productId || 'unknown' });
+  
+  await pushInvoiceStatus(invoiceId);
+  await emitWebhookEvent('delivery.failed', {
     chargeId,
+    invoiceId,
+    userId,
     error: error.toString(),
-    timestamp: new Date().toISOString()
-  };
-  
-  require('fs').appendFileSync('failed_deliveries.log', JSON.stringify(logEntry) + '\n');
+    attempts
+  });
   
-  sendTransactionLog(`
+  await sendTransactionLog(`
 🚨 <b>DELIVERY FAILED</b>
 
 👤 <b>User ID:</b> <code>${userId}</code>
 💳 <b>Charge ID:</b> <code>${chargeId}</code>
-❌ <b>Error:</b> ${error.toString()}
+❌ <b>Error:</b> ${escapeHtml(error.toString())}
+🔁 <b>Attempts:</b> ${attempts}
 📅 <b>Time:</b> ${new Date().toISOString()}
 
-⚠️ <b>ACTION REQUIRED:</b> Manual refund may be needed!
-Use: <code>/refund ${chargeId}</code>
+⚠️ <b>ACTION REQUIRED:</b> Coins were not credited - manual refund may be needed!
+Retry: <code>/redeliver ${chargeId}</code>
+Refund: <code>/refund ${chargeId}</code>
 `);
   
   console.error(`🚨 FAILED DELIVERY: User ${userId}, Charge ${chargeId}, Error: ${error}`);
 }
 
 // ============================================
-// HTTP ENDPOINTS
+// PAYMENT IDEMPOTENCY
 // ============================================
 
-// Health check endpoint
-app.get('/', (req, res) => {
-  res.json({
-    status: 'online',
-    service: 'Void Gift Bot - Invoice API',
-    version: '7.0',
-    uptime: Math.floor((Date.now() - STATE.serverStartTime) / 1000),
-    features: ['openInvoice', 'cloudStorage', 'monitoring']
-  });
-});
+// Claims a charge ID for processing. Returns 'claimed' when the caller should
+// deliver, 'in_progress' when another handler is already on it, or 'processed'
+// when a payment record for the charge already exists.
+async function claimCharge(chargeId) {
+  if (STATE.processingCharges.has(chargeId)) {
+    return 'in_progress';
+  }
+  
+  // Claim synchronously before awaiting so a concurrent duplicate sees it
+  STATE.processingCharges.add(chargeId);
+  
+  const existing = await findPaymentByChargeId(chargeId);
+  if (existing) {
+    STATE.processingCharges.delete(chargeId);
+    return 'processed';
+  }
+  
+  return 'claimed';
+}
 
-// Create invoice link endpoint
-app.post('/create-invoice', async (req, res) => {
-  try {
-    const { userId, productId } = req.body;
-    
-    console.log(`📱 Invoice request received:`, { userId, productId });
-    
-    if (!userId || !productId) {
-      console.log('❌ Missing required fields');
-      return res.status(400).json({ 
-        error: 'Missing userId or productId',
-        received: { userId, productId }
-      });
-    }
-    
-    const product = PRODUCTS[productId];
-    
-    if (!product) {
-      console.log('❌ Invalid product:', productId);
-      return res.status(400).json({ 
-        error: 'Invalid product',
-        productId: productId,
-        availableProducts: Object.keys(PRODUCTS)
-      });
+function releaseCharge(chargeId) {
+  STATE.processingCharges.delete(chargeId);
+}
+
+async function logDuplicatePayment(userId, payment, reason) {
+  console.log(`🔁 Duplicate payment update ignored: ${payment.telegram_payment_charge_id} (${reason})`);
+  
+  await sendTransactionLog(`
+🔁 <b>DUPLICATE PAYMENT UPDATE</b>
+
+👤 <b>User ID:</b> <code>${userId}</code>
+💳 <b>Charge ID:</b> <code>${payment.telegram_payment_charge_id}</code>
+⭐ <b>Amount:</b> ${payment.total_amount} stars
+📋 <b>Reason:</b> ${reason === 'in_progress' ? 'Already being processed' : 'Already processed'}
+📅 <b>Time:</b> ${new Date().toISOString()}
+
+<b>Status:</b> Skipped - no coins re-delivered
+`);
+}
+
+// ============================================
+// COIN LEDGER
+// ============================================
+
+// Appends a signed entry (positive = credit, negative = debit) for a user.
+// Entries carrying a chargeId are written once per reason, so re-crediting
+// the same charge returns the existing entry instead of paying out twice.
+async function addLedgerEntry(userId, amount, details = {}) {
+  const reason = details.reason || 'adjustment';
+  
+  const entry = await store.transaction(async tx => {
+    if (details.chargeId) {
+      const entries = await store.find('ledger', 'chargeId', details.chargeId);
+      const existing = entries.find(e => e.reason === reason);
+      if (existing) {
+        console.log(`ℹ️ Ledger entry already exists for charge ${details.chargeId} (${reason})`);
+        return existing;
+      }
     }
     
-    console.log(`✅ Creating invoice for ${product.title} (${product.stars} stars)`);
+    const created = tx.insert('ledger', {
+      userId,
+      amount,
+      reason,
+      chargeId: details.chargeId || null,
+      productId: details.productId || null,
+      timestamp: new Date().toISOString()
+    });
     
-    // Create invoice link using Bot API
-    const invoiceLink = await bot.createInvoiceLink(
-      product.title,                    // title
-      product.description,              // description
-      JSON.stringify({                  // payload
-        product_id: productId,
-        user_id: userId,
-        timestamp: Date.now()
-      }),
-      '',                               // provider_token (empty for Stars)
-      'XTR',                           // currency (Telegram Stars)
-      [{
-        label: `${product.coins} Void Coins`,
-        amount: product.stars
-      }],
-      {
-        need_name: false,
-        need_phone_number: false,
-        need_email: false,
-        need_shipping_address: false,
-        is_flexible: false
+    console.log(`📒 Ledger entry ${created.id}: ${amount > 0 ? '+' : ''}${amount} coins for user ${userId} (${reason})`);
+    return created;
+  });
+  
+  return entry;
+}
+
+async function getLedgerEntries(userId) {
+  return store.find('ledger', 'userId', userId);
+}
+
+async function getBalance(userId) {
+  const entries = await getLedgerEntries(userId);
+  return entries.reduce((sum, e) => sum + e.amount, 0);
+}
+
+// Debits whatever was credited for a charge. Idempotent per charge. The
+// balance is allowed to go negative when the coins were already spent.
+async function reverseCoins(chargeId) {
+  const entries = await store.find('ledger', 'chargeId', chargeId);
+  const credits = entries.filter(e => e.reason === 'purchase' || e.reason === 'gift');
+  
+  if (credits.length === 0) {
+    return null;
+  }
+  
+  const { userId, productId } = credits[0];
+  const amount = credits.reduce((sum, e) => sum + e.amount, 0);
+  
+  if (entries.some(e => e.reason === 'refund')) {
+    return { userId, amount, balance: await getBalance(userId), alreadyReversed: true };
+  }
+  
+  await addLedgerEntry(userId, -amount, { reason: 'refund', chargeId, productId });
+  const balance = await getBalance(userId);
+  
+  return { userId, amount, balance, negative: balance < 0 };
+}
+
+// Credits the coins, then tells the user. The ledger credit is the delivery:
+// it's written once per charge, so a retry never pays out twice, and it
+// throws on failure. The message is best-effort - if it fails the result
+// says so ({ notified: false, error }) and the caller queues a retry of
+// just the message. For gifts, userId is the recipient and details.gift
+// holds { buyerId, buyerName, message }.
+async function deliverCoins(userId, coins, details = {}) {
+  const { gift, ...entryDetails } = details;
+  
+  console.log(`💰 Crediting ${coins} coins to user ${userId}${gift ? ` (gift from ${gift.buyerId})` : ''}`);
+  
+  await addLedgerEntry(userId, coins, { reason: gift ? 'gift' : 'purchase', ...entryDetails });
+  
+  try {
+    await notifyCoinsDelivered(userId, coins, gift);
+    return { notified: true };
+  } catch (error) {
+    console.error(`❌ Coins credited but user ${userId} was not notified:`, error.message);
+    return { notified: false, error };
+  }
+}
+
+async function notifyCoinsDelivered(userId, coins, gift = null) {
+  const balance = await getBalance(userId);
+  
+  const text = gift
+    ? `🎁 <b>You received a gift!</b>\n\n` +
+      `${escapeHtml(gift.buyerName)} sent you ${coins} 🪙 Void Coins!\n` +
+      (gift.message ? `💬 <i>${escapeHtml(gift.message)}</i>\n` : '') +
+      `<b>Balance:</b> ${balance} 🪙\n\n` +
+      `Open the app to use your coins.`
+    : `✅ <b>Payment Successful!</b>\n\n` +
+      `${coins} 🪙 Void Coins have been added to your account!\n` +
+      `<b>Balance:</b> ${balance} 🪙\n\n` +
+      `Open the app to use your coins.`;
+  
+  // Send message with button to open app - the app reads the balance
+  // from GET /balance, so nothing is passed in the URL
+  await bot.sendMessage(userId, text, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[
+        {
+          text: gift ? '🎁 Open App' : '🎮 Open App',
+          web_app: { url: WEB_APP_URL }
+        }
+      ]]
+    }
+  });
+}
+
+// ============================================
+// USER DIRECTORY & GIFTS
+// ============================================
+
+const GIFT_MESSAGE_MAX_LENGTH = 200;
+
+// Remembers users who've used the bot or the Mini App so gifts can be
+// addressed by @username. Only writes when something changed.
+async function rememberUser(user) {
+  const username = user.username ? user.username.toLowerCase() : null;
+  
+  await store.transaction(async tx => {
+    const existing = await store.findOne('users', 'userId', user.id);
+    
+    if (!existing) {
+      tx.insert('users', {
+        userId: user.id,
+        username,
+        firstName: user.first_name || null,
+        firstSeenAt: Date.now()
+      });
+    } else if (existing.username !== username || existing.firstName !== (user.first_name || null)) {
+      tx.update('users', existing.id, { username, firstName: user.first_name || null });
+    }
+  });
+}
+
+// Finds a gift recipient by Telegram user ID or @username. Only users the
+// bot has seen can receive gifts - anyone else couldn't get the notification.
+async function resolveRecipient({ recipientId, recipientUsername }) {
+  if (recipientId) {
+    return store.findOne('users', 'userId', Number(recipientId));
+  }
+  
+  const username = String(recipientUsername).replace(/^@/, '').toLowerCase();
+  return store.findOne('users', 'username', username);
+}
+
+function getDisplayName(user) {
+  if (!user) return 'Someone';
+  return user.username ? `@${user.username}` : user.firstName || `User ${user.userId}`;
+}
+
+// ============================================
+// DELIVERY QUEUE
+// ============================================
+
+// Telegram 429 responses say how long to back off for
+function getRetryAfter(error) {
+  const retryAfter = error.response?.body?.parameters?.retry_after;
+  return retryAfter ? retryAfter * 1000 : 0;
+}
+
+function getRedeliveryDelay(attempts, error) {
+  const backoff = Math.min(DELIVERY_RETRY_BASE_DELAY * 2 ** (attempts - 1), DELIVERY_RETRY_MAX_DELAY);
+  return Math.max(backoff, getRetryAfter(error));
+}
+
+// Queues a paid-for delivery that failed (storage hiccup) so the retry
+// worker picks it up. Survives restarts. With delivery.credited the coins
+// are already in the ledger and only the user's message is retried (user
+// blocked the bot, rate limit).
+async function enqueueDelivery(delivery, error) {
+  const now = Date.now();
+  
+  const item = await store.transaction(async tx => {
+    const existing = await store.findOne('deliveries', 'chargeId', delivery.chargeId);
+    if (existing) return existing;
+    
+    return tx.insert('deliveries', {
+      userId: delivery.userId,
+      chargeId: delivery.chargeId,
+      productId: delivery.productId,
+      coins: delivery.coins,
+      gift: delivery.gift || null,
+      credited: Boolean(delivery.credited),
+      status: 'pending',
+      attempts: 1,
+      lastError: error.toString(),
+      nextAttemptAt: now + getRedeliveryDelay(1, error),
+      createdAt: now,
+      updatedAt: now
+    });
+  });
+  
+  console.log(`📮 ${delivery.credited ? 'Delivery message' : 'Delivery'} queued for retry: ${delivery.chargeId} ` +
+    `(next in ${Math.round((item.nextAttemptAt - now) / 1000)}s)`);
+  return item;
+}
+
+// Attempts one delivery of a queued item and records the outcome: the
+// ledger credit if it hasn't happened yet, then the user's message.
+// Returns true once the coins are credited and the user has been told.
+async function attemptRedelivery(item, { force = false } = {}) {
+  const attempts = item.attempts + 1;
+  let credited = item.credited;
+  
+  try {
+    if (credited) {
+      await notifyCoinsDelivered(item.userId, item.coins, item.gift);
+    } else {
+      // A refund cancels the queued item, but never credit a refunded charge
+      // whatever the item says - reverseCoins has already run and won't again
+      const payment = await findPaymentByChargeId(item.chargeId);
+      if (payment?.refunded) {
+        await store.update('deliveries', item.id, {
+          status: 'cancelled',
+          lastError: 'Payment was refunded',
+          updatedAt: Date.now()
+        });
+        console.log(`🚫 Delivery for refunded charge ${item.chargeId} cancelled`);
+        return false;
       }
-    );
+      
+      const delivery = await deliverCoins(item.userId, item.coins, {
+        chargeId: item.chargeId,
+        productId: item.productId,
+        ...(item.gift ? { gift: item.gift } : {})
+      });
+      credited = true;
+      
+      if (!delivery.notified) {
+        throw delivery.error;
+      }
+    }
     
-    console.log(`✅ Invoice link created successfully`);
-    console.log(`🔗 Link: ${invoiceLink}`);
+    await store.update('deliveries', item.id, {
+      status: 'delivered',
+      credited: true,
+      attempts,
+      lastError: null,
+      deliveredAt: Date.now(),
+      updatedAt: Date.now()
+    });
+    
+    console.log(`✅ Redelivered ${item.coins} coins for charge ${item.chargeId} (attempt ${attempts})`);
+    await pushChargeStatus(item.chargeId);
     
-    // Log invoice creation
     await sendTransactionLog(`
-📝 <b>INVOICE CREATED</b>
+📬 <b>REDELIVERY SUCCESSFUL</b>
 
-👤 <b>User ID:</b> <code>${userId}</code>
-📦 <b>Product:</b> ${product.title}
-💎 <b>Product ID:</b> <code>${productId}</code>
-⭐ <b>Stars:</b> ${product.stars}
-🪙 <b>Coins:</b> ${product.coins}
-🔗 <b>Method:</b> openInvoice API
+👤 <b>User ID:</b> <code>${item.userId}</code>
+💳 <b>Charge ID:</b> <code>${item.chargeId}</code>
+🪙 <b>Coins Delivered:</b> ${item.coins}${item.credited ? ' (credited earlier, message sent now)' : ''}
+🔁 <b>Attempts:</b> ${attempts}${force ? ' (forced)' : ''}
 📅 <b>Time:</b> ${new Date().toISOString()}
 `);
     
-    res.json({ 
-      success: true,
-      invoiceLink: invoiceLink,
-      product: {
-        id: product.id,
-        title: product.title,
-        stars: product.stars,
-        coins: product.coins
+    return true;
+    
+  } catch (error) {
+    const exhausted = !force && attempts >= DELIVERY_MAX_ATTEMPTS;
+    
+    // Credited coins are delivered whatever happens to the message - the
+    // Mini App shows the balance - so giving up only stops the retries
+    await store.update('deliveries', item.id, {
+      status: exhausted ? (credited ? 'delivered' : 'failed') : item.status,
+      credited,
+      ...(exhausted && credited ? { deliveredAt: Date.now(), notified: false } : {}),
+      attempts,
+      lastError: error.toString(),
+      nextAttemptAt: Date.now() + getRedeliveryDelay(attempts, error),
+      updatedAt: Date.now()
+    });
+    
+    console.error(`❌ Redelivery attempt ${attempts} failed for charge ${item.chargeId}:`, error.message);
+    
+    if (credited) {
+      await pushChargeStatus(item.chargeId);
+    }
+    
+    if (exhausted) {
+      await logFailedDelivery(item.userId, item.chargeId, error, attempts);
+    }
+    
+    return false;
+  }
+}
+
+async function processDeliveryQueue() {
+  if (STATE.isProcessingDeliveries) return;
+  STATE.isProcessingDeliveries = true;
+  
+  try {
+    const now = Date.now();
+    const pending = await store.find('deliveries', 'status', 'pending');
+    
+    for (const item of pending) {
+      if (item.nextAttemptAt <= now) {
+        await attemptRedelivery(item);
       }
+    }
+  } catch (error) {
+    console.error('Delivery queue error:', error);
+    await sendErrorLog(error, 'Delivery Queue');
+  } finally {
+    STATE.isProcessingDeliveries = false;
+  }
+}
+
+function startDeliveryQueue() {
+  if (STATE.deliveryQueueInterval) return;
+  STATE.deliveryQueueInterval = setInterval(processDeliveryQueue, DELIVERY_RETRY_INTERVAL);
+}
+
+// ============================================
+// PROMO CODES
+// ============================================
+
+// Codes ride along in the invoice payload (max 128 bytes), so keep them short
+const PROMO_CODE_MAX_LENGTH = 16;
+const PROMO_CODE_PATTERN = new RegExp(`^[A-Z0-9_-]{3,${PROMO_CODE_MAX_LENGTH}}$`);
+const PROMO_TYPES = ['percent', 'fixed', 'bonus'];
+
+// An approved pre-checkout holds a redemption until its payment lands, so
+// a code with one use left can't be paid for twice. Payments follow their
+// pre-checkout within seconds; a hold that outlives this was abandoned.
+const PROMO_HOLD_TTL = 300000; // 5 minutes
+
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// What the user pays and receives for a product with a promo applied.
+// percent/fixed lower the Stars price (never below 1), bonus adds coins.
+function getPromoPrice(product, promo) {
+  if (!promo) {
+    return { stars: product.stars, coins: product.coins, discountStars: 0, bonusCoins: 0 };
+  }
+  
+  let stars = product.stars;
+  let bonusCoins = 0;
+  
+  if (promo.type === 'percent') {
+    stars = Math.round(product.stars * (100 - promo.value) / 100);
+  } else if (promo.type === 'fixed') {
+    stars = product.stars - promo.value;
+  } else if (promo.type === 'bonus') {
+    bonusCoins = promo.value;
+  }
+  
+  stars = Math.max(1, stars);
+  
+  return {
+    stars,
+    coins: product.coins + bonusCoins,
+    discountStars: product.stars - stars,
+    bonusCoins
+  };
+}
+
+// Checks a code can be used by this user on this product.
+// Returns { promo } or { error } with a message safe to show the user.
+// With `holdFor` (an invoice ID) a valid code is also held for that invoice,
+// in the same synchronous step as the count so concurrent checks can't both
+// take the last use. An invoice's own hold never counts against it.
+async function validatePromo(code, userId, productId, { holdFor = null } = {}) {
+  const promo = await store.findOne('promoCodes', 'code', normalizePromoCode(code));
+  
+  if (!promo || !promo.active) {
+    return { error: 'Invalid promo code' };
+  }
+  
+  if (promo.expiresAt && Date.now() > promo.expiresAt) {
+    return { error: 'This promo code has expired' };
+  }
+  
+  if (promo.productIds && !promo.productIds.includes(productId)) {
+    return { error: 'This promo code is not valid for this package' };
+  }
+  
+  const redemptions = await store.find('promoRedemptions', 'code', promo.code);
+  const now = Date.now();
+  const redeemedInvoices = new Set(redemptions.map(r => r.invoiceId).filter(Boolean));
+  
+  for (const [invoiceId, hold] of STATE.promoHolds) {
+    if (hold.expiresAt <= now || redeemedInvoices.has(invoiceId)) {
+      STATE.promoHolds.delete(invoiceId);
+    }
+  }
+  
+  const holds = [...STATE.promoHolds]
+    .filter(([invoiceId, hold]) => hold.code === promo.code && invoiceId !== holdFor)
+    .map(([, hold]) => hold);
+  const uses = [...redemptions, ...holds];
+  
+  if (promo.maxRedemptions && uses.length >= promo.maxRedemptions) {
+    return { error: 'This promo code has been fully redeemed' };
+  }
+  
+  const userUses = uses.filter(r => String(r.userId) === String(userId));
+  
+  if (promo.perUserLimit && userUses.length >= promo.perUserLimit) {
+    return { error: 'You have already used this promo code' };
+  }
+  
+  if (holdFor) {
+    STATE.promoHolds.set(holdFor, { code: promo.code, userId, expiresAt: now + PROMO_HOLD_TTL });
+  }
+  
+  return { promo };
+}
+
+// Records a redemption once per charge and logs it. The redemption replaces
+// the invoice's hold from pre-checkout.
+async function redeemPromo(promo, { userId, chargeId, productId, invoiceId, price }) {
+  const redemption = await store.transaction(async tx => {
+    if (await store.findOne('promoRedemptions', 'chargeId', chargeId)) {
+      return null;
+    }
+    
+    return tx.insert('promoRedemptions', {
+      code: promo.code,
+      userId,
+      chargeId,
+      productId,
+      invoiceId,
+      discountStars: price.discountStars,
+      bonusCoins: price.bonusCoins,
+      timestamp: new Date().toISOString()
     });
+  });
+  
+  STATE.promoHolds.delete(invoiceId);
+  
+  if (!redemption) return null;
+  
+  console.log(`🎟 Promo ${promo.code} redeemed by user ${userId}`);
+  
+  await sendTransactionLog(`
+🎟 <b>PROMO REDEEMED</b>
+
+🏷 <b>Code:</b> <code>${promo.code}</code> (${formatPromoValue(promo)})
+👤 <b>User ID:</b> <code>${userId}</code>
+💎 <b>Product ID:</b> <code>${productId}</code>
+⭐ <b>Stars Paid:</b> ${price.stars} (-${price.discountStars})
+🪙 <b>Coins:</b> ${price.coins} (+${price.bonusCoins} bonus)
+💳 <b>Charge ID:</b> <code>${chargeId}</code>
+📅 <b>Time:</b> ${redemption.timestamp}
+`);
+  
+  return redemption;
+}
+
+function formatPromoValue(promo) {
+  if (promo.type === 'percent') return `${promo.value}% off`;
+  if (promo.type === 'fixed') return `${promo.value} ⭐ off`;
+  return `+${promo.value} 🪙 bonus`;
+}
+
+// ============================================
+// FRAUD RULES
+// ============================================
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+// Current thresholds and whitelist: defaults overlaid with admin changes
+async function getFraudSettings() {
+  const saved = await store.findOne('settings', 'key', 'fraud');
+  return {
+    rules: { ...FRAUD_RULE_DEFAULTS, ...(saved?.rules || {}) },
+    whitelist: saved?.whitelist || []
+  };
+}
+
+async function updateFraudSettings(update) {
+  await store.transaction(async tx => {
+    const saved = await store.findOne('settings', 'key', 'fraud');
+    const current = { rules: saved?.rules || {}, whitelist: saved?.whitelist || [] };
+    const next = update(current);
+    
+    if (saved) {
+      tx.update('settings', saved.id, next);
+    } else {
+      tx.insert('settings', { key: 'fraud', ...next });
+    }
+  });
+}
+
+function recordInvoiceCreated(userId) {
+  const cutoff = Date.now() - 60000;
+  const timestamps = (STATE.invoiceTimestamps.get(userId) || []).filter(t => t > cutoff);
+  timestamps.push(Date.now());
+  STATE.invoiceTimestamps.set(userId, timestamps);
+  
+  // Drop users who've gone quiet so the map doesn't grow forever
+  for (const [id, times] of STATE.invoiceTimestamps) {
+    if (!times.some(t => t > cutoff)) {
+      STATE.invoiceTimestamps.delete(id);
+    }
+  }
+}
+
+// When the user first showed up. Users who predate the user directory got
+// the deploy time as firstSeenAt, so their payment and ledger history counts too.
+async function getAccountStartedAt(userId, payments) {
+  const user = await store.findOne('users', 'userId', userId);
+  const ledger = await store.find('ledger', 'userId', userId);
+  const times = [
+    user?.firstSeenAt,
+    ...payments.map(p => p.createdAt),
+    ...ledger.slice(0, 1).map(entry => Date.parse(entry.timestamp))
+  ].filter(Number.isFinite);
+  
+  return times.length > 0 ? Math.min(...times) : Date.now();
+}
+
+// Checks a pending checkout of `amount` Stars against the velocity and
+// history rules. Returns the first violated rule, or null if it may proceed.
+async function evaluateFraudRules(userId, amount) {
+  const { rules, whitelist } = await getFraudSettings();
+  
+  if (whitelist.includes(userId)) {
+    return null;
+  }
+  
+  const now = Date.now();
+  const payments = await store.find('payments', 'userId', userId);
+  const spentSince = since => payments
+    .filter(p => p.createdAt >= since)
+    .reduce((sum, p) => sum + p.spentStars, 0);
+  
+  const hourTotal = spentSince(now - HOUR_MS) + amount;
+  if (rules.maxStarsPerHour && hourTotal > rules.maxStarsPerHour) {
+    return { rule: 'maxStarsPerHour', limit: rules.maxStarsPerHour, actual: hourTotal };
+  }
+  
+  const dayTotal = spentSince(now - DAY_MS) + amount;
+  if (rules.maxStarsPerDay && dayTotal > rules.maxStarsPerDay) {
+    return { rule: 'maxStarsPerDay', limit: rules.maxStarsPerDay, actual: dayTotal };
+  }
+  
+  const recentInvoices = (STATE.invoiceTimestamps.get(userId) || []).filter(t => t > now - 60000).length;
+  if (rules.maxInvoicesPerMinute && recentInvoices > rules.maxInvoicesPerMinute) {
+    return { rule: 'maxInvoicesPerMinute', limit: rules.maxInvoicesPerMinute, actual: recentInvoices };
+  }
+  
+  if (rules.newAccountHours && rules.newAccountMaxStars) {
+    const firstSeenAt = await getAccountStartedAt(userId, payments);
+    
+    if (now - firstSeenAt < rules.newAccountHours * HOUR_MS && dayTotal > rules.newAccountMaxStars) {
+      return { rule: 'newAccountMaxStars', limit: rules.newAccountMaxStars, actual: dayTotal };
+    }
+  }
+  
+  if (rules.maxRefunds) {
+    const cutoff = new Date(now - rules.refundWindowDays * DAY_MS).toISOString();
+    const refunds = (await store.find('refunds', 'userId', userId)).filter(r => r.timestamp >= cutoff).length;
+    
+    if (refunds >= rules.maxRefunds) {
+      return { rule: 'maxRefunds', limit: rules.maxRefunds, actual: refunds };
+    }
+  }
+  
+  return null;
+}
+
+// ============================================
+// INVOICE STATUS
+// ============================================
+
+// Works out where an invoice is from the funnel events, the payment record,
+// the ledger and the delivery queue. Status is one of created, pre_checkout,
+// paid, delivered, failed or refunded.
+async function getInvoiceStatus(invoiceId) {
+  const events = await store.find('funnelEvents', 'invoiceId', invoiceId);
+  const created = events.find(e => e.stage === 'invoice_created');
+  
+  if (!created) return null;
+  
+  const payment = await store.findOne('payments', 'invoiceId', invoiceId);
+  const failure = await store.findOne('failedDeliveries', 'invoiceId', invoiceId);
+  
+  const result = {
+    invoiceId,
+    userId: created.userId,
+    productId: created.productId,
+    stars: created.stars,
+    chargeId: payment?.chargeId || null,
+    status: 'created',
+    createdAt: new Date(created.timestamp).toISOString(),
+    updatedAt: new Date(events[events.length - 1].timestamp).toISOString()
+  };
+  
+  if (payment) {
+    const credited = (await store.find('ledger', 'chargeId', payment.chargeId))
+      .some(e => e.reason === 'purchase' || e.reason === 'gift');
+    const queued = await store.findOne('deliveries', 'chargeId', payment.chargeId);
+    
+    if (payment.refunded) {
+      return { ...result, status: 'refunded', updatedAt: payment.refundedAt };
+    }
+    if (credited) {
+      return { ...result, status: 'delivered', coins: payment.coinsDelivered };
+    }
+    if (failure || queued?.status === 'failed') {
+      return { ...result, status: 'failed', reason: 'delivery_failed' };
+    }
+    return { ...result, status: 'paid', deliveryQueued: Boolean(queued) };
+  }
+  
+  if (failure) {
+    return { ...result, status: 'failed', reason: 'processing_failed', updatedAt: failure.timestamp };
+  }
+  
+  // Telegram lets the user retry after a declined checkout, so only the
+  // most recent pre-checkout outcome counts
+  const lastCheckout = events.filter(e => e.stage === 'pre_checkout' || e.stage === 'declined').pop();
+  
+  if (lastCheckout?.stage === 'pre_checkout') {
+    return { ...result, status: 'pre_checkout' };
+  }
+  if (lastCheckout?.stage === 'declined') {
+    return { ...result, status: 'failed', reason: lastCheckout.reason };
+  }
+  
+  return result;
+}
+
+function writeInvoiceEvent(res, status) {
+  res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+}
+
+// Sends the current status to every open stream for the invoice. Called
+// whenever a payment handler changes something the status is derived from.
+async function pushInvoiceStatus(invoiceId) {
+  const streams = invoiceId && STATE.invoiceStreams.get(invoiceId);
+  if (!streams || streams.size === 0) return;
+  
+  try {
+    const status = await getInvoiceStatus(invoiceId);
+    if (!status) return;
+    
+    for (const res of streams) {
+      writeInvoiceEvent(res, status);
+    }
+    
+    console.log(`📡 Invoice ${invoiceId} → ${status.status} (${streams.size} listener${streams.size === 1 ? '' : 's'})`);
+  } catch (error) {
+    console.error(`❌ Error pushing invoice status ${invoiceId}:`, error.message);
+  }
+}
+
+async function pushChargeStatus(chargeId) {
+  const payment = await findPaymentByChargeId(chargeId);
+  await pushInvoiceStatus(payment?.invoiceId);
+}
+
+// ============================================
+// OUTGOING WEBHOOKS
+// ============================================
+
+// Signing, sending and retries live in webhooks.js
+function webhooksEnabled() {
+  return WEBHOOK_URLS.length > 0 && Boolean(WEBHOOK_SECRET);
+}
+
+const webhookOutbox = new WebhookOutbox({
+  store,
+  secret: WEBHOOK_SECRET,
+  timeout: WEBHOOK_TIMEOUT,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelay: WEBHOOK_RETRY_BASE_DELAY,
+  maxDelay: WEBHOOK_RETRY_MAX_DELAY,
+  onExhausted: (item, error) => sendSystemLog(`
+🪝 <b>WEBHOOK FAILED</b>
+
+🔗 <b>URL:</b> ${escapeHtml(item.url)}
+📨 <b>Event:</b> ${item.event} (<code>${item.eventId}</code>)
+❌ <b>Error:</b> ${escapeHtml(error.message)}
+🔁 <b>Attempts:</b> ${item.attempts}
+📅 <b>Time:</b> ${new Date().toISOString()}
+
+Retry: <code>/webhooks retry ${item.id}</code>
+`)
+});
+
+async function emitWebhookEvent(type, data) {
+  if (!webhooksEnabled() || !WEBHOOK_EVENTS.includes(type)) return;
+  
+  try {
+    const items = await webhookOutbox.enqueue(createWebhookEvent(type, data), WEBHOOK_URLS);
+    
+    // First attempt right away; the outbox picks up anything that fails
+    for (const item of items) {
+      webhookOutbox.send(item).catch(error => console.error('❌ Webhook send error:', error.message));
+    }
+  } catch (error) {
+    console.error(`❌ Error queueing webhook ${type}:`, error);
+    await sendErrorLog(error, `Webhook Outbox - ${type}`);
+  }
+}
+
+async function processWebhookOutbox() {
+  try {
+    await webhookOutbox.processPending();
+  } catch (error) {
+    console.error('Webhook outbox error:', error);
+    await sendErrorLog(error, 'Webhook Outbox');
+  }
+}
+
+function startWebhookOutbox() {
+  if (WEBHOOK_URLS.length > 0 && !WEBHOOK_SECRET) {
+    console.warn('⚠️ WEBHOOK_URLS is set but WEBHOOK_SECRET is not - outgoing webhooks disabled');
+  }
+  if (STATE.webhookOutboxInterval || !webhooksEnabled()) return;
+  STATE.webhookOutboxInterval = setInterval(processWebhookOutbox, WEBHOOK_RETRY_INTERVAL);
+}
+
+// ============================================
+// PROMETHEUS METRICS
+// ============================================
+
+const metricsRegistry = new Registry();
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+// Business counters, labelled by product ID. In-memory, so they restart
+// from zero with the process.
+const METRICS = {
+  invoicesCreated: metricsRegistry.counter(
+    'voidgift_invoices_created_total', 'Invoice links created', ['product_id']),
+  preCheckouts: metricsRegistry.counter(
+    'voidgift_pre_checkouts_total', 'Pre-checkout queries answered, by result (approved or declined)', ['product_id', 'result']),
+  paymentsSucceeded: metricsRegistry.counter(
+    'voidgift_payments_succeeded_total', 'Successful payments, including subscription renewals', ['product_id']),
+  starsReceived: metricsRegistry.counter(
+    'voidgift_stars_received_total', 'Telegram Stars received in successful payments', ['product_id']),
+  deliveriesFailed: metricsRegistry.counter(
+    'voidgift_deliveries_failed_total', 'Coin deliveries that failed after payment', ['product_id']),
+  refunds: metricsRegistry.counter(
+    'voidgift_refunds_total', 'Refunds recorded, from Telegram or /refund', ['product_id']),
+  starsRefunded: metricsRegistry.counter(
+    'voidgift_stars_refunded_total', 'Telegram Stars refunded', ['product_id'])
+};
+
+const processGauges = {
+  heapUsed: metricsRegistry.gauge('nodejs_heap_size_used_bytes', 'V8 heap in use'),
+  heapTotal: metricsRegistry.gauge('nodejs_heap_size_total_bytes', 'V8 heap allocated'),
+  rss: metricsRegistry.gauge('process_resident_memory_bytes', 'Resident set size'),
+  eventLoopLag: metricsRegistry.gauge('nodejs_eventloop_lag_seconds', 'Event loop delay since the last scrape', ['quantile']),
+  uptime: metricsRegistry.gauge('process_uptime_seconds', 'Seconds since the bot started')
+};
+
+const systemGauges = {
+  memoryUsed: metricsRegistry.gauge('voidgift_system_memory_used_bytes', 'Host memory in use'),
+  memoryTotal: metricsRegistry.gauge('voidgift_system_memory_total_bytes', 'Host memory installed'),
+  load: metricsRegistry.gauge('voidgift_system_load_average', 'Host load average', ['period']),
+  probeUp: metricsRegistry.gauge('voidgift_probe_up', 'Whether the last network probe succeeded', ['host', 'type']),
+  probeLatency: metricsRegistry.gauge('voidgift_probe_latency_seconds', 'Latency of the last successful network probe', ['host', 'type']),
+  probeTimestamp: metricsRegistry.gauge('voidgift_probe_last_run_timestamp_seconds', 'When the network probes last ran'),
+  fleetUp: metricsRegistry.gauge('voidgift_fleet_server_up', 'Whether a fleet agent is reporting (0 once it misses heartbeats or stops)', ['server']),
+  fleetLastSeen: metricsRegistry.gauge('voidgift_fleet_last_heartbeat_timestamp_seconds', 'When a fleet agent last reported', ['server'])
+};
+
+metricsRegistry.onCollect(() => {
+  const memory = process.memoryUsage();
+  processGauges.heapUsed.set({}, memory.heapUsed);
+  processGauges.heapTotal.set({}, memory.heapTotal);
+  processGauges.rss.set({}, memory.rss);
+  processGauges.uptime.set({}, Math.floor((Date.now() - STATE.serverStartTime) / 1000));
+  
+  // monitorEventLoopDelay reports nanoseconds; reset so each scrape covers
+  // only the interval since the previous one
+  processGauges.eventLoopLag.reset();
+  for (const quantile of [0.5, 0.9, 0.99]) {
+    processGauges.eventLoopLag.set({ quantile }, eventLoopDelay.percentile(quantile * 100) / 1e9);
+  }
+  eventLoopDelay.reset();
+  
+  systemGauges.memoryTotal.set({}, os.totalmem());
+  systemGauges.memoryUsed.set({}, os.totalmem() - os.freemem());
+  const [avg1, avg5, avg15] = os.loadavg();
+  systemGauges.load.set({ period: '1m' }, avg1);
+  systemGauges.load.set({ period: '5m' }, avg5);
+  systemGauges.load.set({ period: '15m' }, avg15);
+  
+  // Probe gauges mirror the last check only, so targets removed from
+  // PROBE_TARGETS don't linger
+  systemGauges.probeUp.reset();
+  systemGauges.probeLatency.reset();
+  systemGauges.probeTimestamp.reset();
+  
+  if (STATE.lastPingData) {
+    for (const result of STATE.lastPingData.results) {
+      const labels = { host: result.host, type: result.type };
+      systemGauges.probeUp.set(labels, result.success ? 1 : 0);
+      if (result.success) {
+        systemGauges.probeLatency.set(labels, result.time / 1000);
+      }
+    }
+    systemGauges.probeTimestamp.set({}, Math.floor(STATE.lastPingData.timestamp / 1000));
+  }
+  
+  systemGauges.fleetUp.reset();
+  systemGauges.fleetLastSeen.reset();
+  for (const server of fleet.list()) {
+    systemGauges.fleetUp.set({ server: server.id }, server.status === 'up' ? 1 : 0);
+    systemGauges.fleetLastSeen.set({ server: server.id }, Math.floor(server.lastSeenAt / 1000));
+  }
+});
+
+// Optional bearer token for GET /metrics
+function requireMetricsToken(req, res, next) {
+  if (!METRICS_TOKEN) return next();
+  
+  const header = req.get('Authorization') || '';
+  const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+  const expected = Buffer.from(METRICS_TOKEN);
+  
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.sendStatus(401);
+  }
+  
+  next();
+}
+
+// ============================================
+// HEALTH CHECKS
+// ============================================
+
+function checkFailed(message, details = {}) {
+  const error = new Error(message);
+  error.details = details;
+  return error;
+}
+
+// Runs one readiness check with a timeout. Checks return details to report
+// and throw (see checkFailed) when the bot shouldn't take traffic.
+async function runHealthCheck(check) {
+  const start = Date.now();
+  let timer;
+  
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${READY_CHECK_TIMEOUT}ms`)), READY_CHECK_TIMEOUT);
+      })
+    ]);
+    return { status: 'ok', latencyMs: Date.now() - start, ...details };
+  } catch (error) {
+    return { status: 'fail', latencyMs: Date.now() - start, ...error.details, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const READINESS_CHECKS = {
+  // Polling: the library's last successful getUpdates, even an empty one.
+  // Webhook: Telegram's own record of failed pushes to us.
+  async updates() {
+    const details = {
+      mode: STATE.updateMode,
+      lastUpdateAt: STATE.lastUpdateAt ? new Date(STATE.lastUpdateAt).toISOString() : null
+    };
+    
+    if (STATE.updateMode === 'polling') {
+      // Private to node-telegram-bot-api: TelegramBotPolling sets _lastUpdate
+      // after every getUpdates that didn't fail. Checked against 0.64.x (the
+      // ^0.64.0 range can't pull in 0.65) - re-check it when upgrading.
+      const lastPoll = bot._polling?._lastUpdate || 0;
+      details.lastPollAgoMs = lastPoll ? Date.now() - lastPoll : null;
+      
+      if (!bot.isPolling()) {
+        throw checkFailed('Polling has stopped', details);
+      }
+      if (!lastPoll || Date.now() - lastPoll > READY_MAX_UPDATE_AGE) {
+        throw checkFailed(`No successful poll in ${READY_MAX_UPDATE_AGE / 1000}s`, details);
+      }
+      return details;
+    }
+    
+    if (STATE.updateMode === 'webhook') {
+      const info = await bot.getWebHookInfo();
+      details.pendingUpdates = info.pending_update_count;
+      
+      if (!info.url) {
+        throw checkFailed('No webhook registered with Telegram', details);
+      }
+      
+      const lastError = info.last_error_date ? info.last_error_date * 1000 : 0;
+      if (lastError > (STATE.lastUpdateAt || 0) && Date.now() - lastError < READY_MAX_UPDATE_AGE) {
+        throw checkFailed(`Telegram can't reach the webhook: ${info.last_error_message}`, details);
+      }
+      return details;
+    }
+    
+    throw checkFailed('Updates not started yet', details);
+  },
+  
+  async telegram() {
+    const me = await bot.getMe();
+    return { username: me.username };
+  },
+  
+  // The journal handle could still be open on a volume that has since gone
+  // read-only, so write a fresh file next to it
+  async storage() {
+    await store.open();
+    if (store.failed) {
+      throw checkFailed(`Store stopped accepting writes: ${store.failed.message}`, { dir: DATA_DIR, lsn: store.lsn });
+    }
+    const file = path.join(DATA_DIR, '.readyz');
+    await fs.writeFile(file, String(Date.now()));
+    await fs.unlink(file);
+    return { dir: DATA_DIR, lsn: store.lsn };
+  },
+  
+  async deliveryQueue() {
+    const pending = await store.find('deliveries', 'status', 'pending');
+    const details = {
+      pending: pending.length,
+      oldestPendingAgeMs: pending.length > 0 ? Date.now() - Math.min(...pending.map(d => d.createdAt)) : null
+    };
+    
+    if (pending.length > READY_MAX_PENDING_DELIVERIES) {
+      throw checkFailed(`${pending.length} deliveries pending (max ${READY_MAX_PENDING_DELIVERIES})`, details);
+    }
+    return details;
+  },
+  
+  async monitoring() {
+    if (!STATE.isMonitoring) {
+      return { enabled: false };
+    }
+    
+    const details = { enabled: true, lastRunAgoMs: Date.now() - STATE.lastMonitoringRun };
+    if (details.lastRunAgoMs > READY_MAX_MONITORING_AGE) {
+      throw checkFailed(`Monitoring checks last ran ${Math.round(details.lastRunAgoMs / 1000)}s ago`, details);
+    }
+    return details;
+  }
+};
+
+async function checkReadiness() {
+  const names = Object.keys(READINESS_CHECKS);
+  const results = await Promise.all(names.map(name => runHealthCheck(READINESS_CHECKS[name])));
+  const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+  
+  return {
+    ready: results.every(r => r.status === 'ok'),
+    checks
+  };
+}
+
+// ============================================
+// HTTP ENDPOINTS
+// ============================================
+
+// Health check endpoint
+app.get('/', (req, res) => {
+  res.json({
+    status: 'online',
+    service: 'Void Gift Bot - Invoice API',
+    version: '7.0',
+    uptime: Math.floor((Date.now() - STATE.serverStartTime) / 1000),
+    features: ['openInvoice', 'coinLedger', 'monitoring']
+  });
+});
+
+// Liveness - answers as long as the process is serving requests
+app.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store').json({
+    status: 'ok',
+    uptime: Math.floor((Date.now() - STATE.serverStartTime) / 1000)
+  });
+});
+
+// Readiness - 503 when any check fails, so the orchestrator can restart us
+app.get('/readyz', async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+  
+  if (!ready) {
+    const failed = Object.keys(checks).filter(name => checks[name].status !== 'ok');
+    console.warn(`⚠️ Readiness check failed: ${failed.join(', ')}`);
+  }
+  
+  res.status(ready ? 200 : 503).set('Cache-Control', 'no-store').json({
+    status: ready ? 'ready' : 'not_ready',
+    checks
+  });
+});
+
+// Fleet agent heartbeats (see agent.js) - answered before the notices and
+// alerts they trigger are sent, so a slow Telegram doesn't time agents out
+app.post(FLEET_HEARTBEAT_PATH, (req, res) => {
+  if (!FLEET_SECRET) {
+    return res.sendStatus(404);
+  }
+  
+  try {
+    verifyHeartbeat(req.rawBody || '', req.get(FLEET_SIGNATURE_HEADER), FLEET_SECRET);
+  } catch (error) {
+    console.warn(`⚠️ Rejected heartbeat from ${req.ip}: ${error.message}`);
+    return res.sendStatus(401);
+  }
+  
+  const problem = validateHeartbeat(req.body);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  
+  let result;
+  try {
+    result = fleet.record(req.body);
+  } catch (error) {
+    return res.status(409).json({ error: error.message });
+  }
+  
+  res.sendStatus(204);
+  handleHeartbeat(result, req.body).catch(error => console.error('❌ Error handling heartbeat:', error));
+});
+
+// Prometheus scrape endpoint (text exposition format)
+app.get('/metrics', requireMetricsToken, async (req, res) => {
+  try {
+    res.type(METRICS_CONTENT_TYPE).send(await metricsRegistry.render());
+  } catch (error) {
+    console.error('❌ Error rendering metrics:', error);
+    res.status(500).type('text/plain').send(`# Error: ${error.message}\n`);
+  }
+});
+
+// Telegram update webhook - only answers in webhook mode, and only to
+// requests carrying the secret token registered with setWebhook
+app.post(BOT_WEBHOOK_PATH, async (req, res) => {
+  if (STATE.updateMode !== 'webhook') {
+    return res.sendStatus(404);
+  }
+  
+  const token = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+  const expected = Buffer.from(BOT_WEBHOOK_SECRET);
+  
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    console.warn(`⚠️ Rejected webhook request with a bad secret token from ${req.ip}`);
+    return res.sendStatus(401);
+  }
+  
+  if (!req.body || typeof req.body.update_id !== 'number') {
+    return res.sendStatus(400);
+  }
+  
+  // Telegram never resends an update it got a 200 for, so payments are
+  // written down first. Without the store, a 500 makes Telegram retry.
+  try {
+    await saveInboundUpdate(req.body);
+  } catch (error) {
+    console.error('❌ Error saving webhook update:', error.message);
+    return res.sendStatus(500);
+  }
+  
+  bot.processUpdate(req.body);
+  res.sendStatus(200);
+});
+
+// Product catalog endpoint - the shop the Mini App renders
+app.get('/products', requireTelegramAuth, (req, res) => {
+  res.json({
+    success: true,
+    products: getSortedProducts().map(p => ({
+      id: p.id,
+      title: p.title,
+      description: p.description,
+      stars: p.stars,
+      coins: p.coins,
+      type: p.type,
+      sortOrder: p.sortOrder,
+      icon: p.icon,
+      badge: p.badge
+    }))
+  });
+});
+
+// The longest payloads /create-invoice can build. Product IDs and promo codes
+// are validated when an admin adds them, and their limits are sized so these
+// still fit - an invoice can't fail on payload size at purchase time.
+function checkInvoicePayloadLimits() {
+  const longest = [
+    {
+      product_id: 'x'.repeat(PRODUCT_ID_MAX_LENGTH),
+      user_id: Number.MAX_SAFE_INTEGER,
+      promo_code: 'X'.repeat(PROMO_CODE_MAX_LENGTH),
+      invoice_id: generateInvoiceId()
+    },
+    {
+      product_id: 'x'.repeat(PRODUCT_ID_MAX_LENGTH),
+      user_id: Number.MAX_SAFE_INTEGER,
+      recipient_id: Number.MAX_SAFE_INTEGER,
+      gift_id: Number.MAX_SAFE_INTEGER
+    }
+  ];
+  
+  for (const payload of longest) {
+    const bytes = Buffer.byteLength(JSON.stringify(payload));
+    if (bytes > INVOICE_PAYLOAD_MAX_BYTES) {
+      throw new Error(`Invoice payload can reach ${bytes} bytes, Telegram allows ${INVOICE_PAYLOAD_MAX_BYTES}`);
+    }
+  }
+}
+
+checkInvoicePayloadLimits();
+
+// Create invoice link endpoint
+app.post('/create-invoice', requireTelegramAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { productId, promoCode, recipientId, recipientUsername, giftMessage } = req.body;
+    const isGift = Boolean(recipientId || recipientUsername);
+    
+    console.log(`📱 Invoice request received:`, { userId, productId, promoCode, recipientId, recipientUsername });
+    
+    if (!productId) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({ 
+        error: 'Missing productId',
+        received: { productId }
+      });
+    }
+    
+    const product = PRODUCTS[productId];
+    
+    if (!product || !product.enabled) {
+      console.log('❌ Invalid product:', productId);
+      return res.status(400).json({ 
+        error: 'Invalid product',
+        productId: productId,
+        availableProducts: getSortedProducts().map(p => p.id)
+      });
+    }
+    
+    const isSubscription = product.type === 'subscription';
+    
+    if (isSubscription && promoCode) {
+      return res.status(400).json({
+        error: 'Promo codes cannot be used on subscriptions',
+        promoCode
+      });
+    }
+    
+    if (isSubscription && isGift) {
+      return res.status(400).json({ error: 'Subscriptions cannot be gifted' });
+    }
+    
+    let recipient = null;
+    
+    if (isGift) {
+      recipient = await resolveRecipient({ recipientId, recipientUsername });
+      
+      if (!recipient) {
+        console.log('❌ Gift recipient not found:', recipientId || recipientUsername);
+        return res.status(404).json({
+          error: 'Recipient not found. They need to open the bot first.',
+          received: { recipientId, recipientUsername }
+        });
+      }
+      
+      if (recipient.userId === userId) {
+        return res.status(400).json({ error: 'You cannot send a gift to yourself' });
+      }
+      
+      if (giftMessage && String(giftMessage).length > GIFT_MESSAGE_MAX_LENGTH) {
+        return res.status(400).json({
+          error: `Gift message is limited to ${GIFT_MESSAGE_MAX_LENGTH} characters`
+        });
+      }
+    }
+    
+    let promo = null;
+    
+    if (promoCode) {
+      const result = await validatePromo(promoCode, userId, productId);
+      
+      if (result.error) {
+        console.log(`❌ Promo code rejected: ${promoCode} (${result.error})`);
+        return res.status(400).json({
+          error: result.error,
+          promoCode
+        });
+      }
+      
+      promo = result.promo;
+    }
+    
+    const price = getPromoPrice(product, promo);
+    const invoiceId = generateInvoiceId();
+    
+    // Gift details live in the store; the payload (max 128 bytes) only
+    // carries buyer, recipient and the gift record ID. The promo code and
+    // invoice ID move to the gift record too, to leave room for both IDs.
+    // The quoted price is checked at payment time, so later catalog or promo
+    // edits don't fail invoices (and renewals) that are already out there.
+    // Both are written together, so there is never one without the other.
+    const gift = await store.transaction(async tx => {
+      const giftRecord = recipient
+        ? tx.insert('gifts', {
+          buyerId: userId,
+          recipientId: recipient.userId,
+          productId,
+          message: giftMessage ? String(giftMessage).trim() : null,
+          promoCode: promo ? promo.code : null,
+          invoiceId,
+          status: 'pending',
+          chargeId: null,
+          createdAt: Date.now()
+        })
+        : null;
+      
+      tx.insert('invoices', {
+        invoiceId,
+        userId,
+        productId,
+        promoCode: promo ? promo.code : null,
+        giftId: giftRecord ? giftRecord.id : null,
+        stars: price.stars,
+        coins: price.coins,
+        discountStars: price.discountStars,
+        bonusCoins: price.bonusCoins,
+        createdAt: Date.now()
+      });
+      
+      return giftRecord;
+    });
+    
+    const payload = gift
+      ? { product_id: productId, user_id: userId, recipient_id: recipient.userId, gift_id: gift.id }
+      : {
+        product_id: productId,
+        user_id: userId,
+        ...(promo ? { promo_code: promo.code } : {}),
+        invoice_id: invoiceId
+      };
+    
+    const title = gift ? `🎁 ${product.title}` : product.title;
+    const description = gift
+      ? `Gift for ${getDisplayName(recipient)}: ${product.description}`
+      : product.description;
+    
+    console.log(`✅ Creating invoice for ${product.title} (${price.stars} stars)${gift ? ` as a gift for ${recipient.userId}` : ''}`);
+    
+    // Create invoice link using Bot API
+    let invoiceLink;
+    try {
+      invoiceLink = await bot.createInvoiceLink(
+        title,                            // title
+        description,                      // description
+        JSON.stringify(payload),          // payload
+        '',                               // provider_token (empty for Stars)
+        'XTR',                           // currency (Telegram Stars)
+        [{
+          label: `${price.coins} Void Coins${isSubscription ? ' / month' : ''}`,
+          amount: price.stars
+        }],
+        {
+          need_name: false,
+          need_phone_number: false,
+          need_email: false,
+          need_shipping_address: false,
+          is_flexible: false,
+          ...(isSubscription ? { subscription_period: SUBSCRIPTION_PERIOD } : {})
+        }
+      );
+    } catch (error) {
+      // Nobody can pay for a gift without a link
+      if (gift) {
+        await store.update('gifts', gift.id, { status: 'failed', failedAt: Date.now(), error: error.message });
+      }
+      throw error;
+    }
+    
+    recordInvoiceCreated(userId);
+    await recordFunnelEvent('invoice_created', { invoiceId, userId, productId, stars: price.stars });
+    await emitWebhookEvent('invoice.created', {
+      invoiceId,
+      userId,
+      productId,
+      stars: price.stars,
+      coins: price.coins,
+      promoCode: promo ? promo.code : null,
+      recipientId: recipient ? recipient.userId : null,
+      subscription: isSubscription
+    });
+    
+    console.log(`✅ Invoice link created successfully`);
+    console.log(`🔗 Link: ${invoiceLink}`);
+    
+    // Log invoice creation
+    await sendTransactionLog(`
+📝 <b>INVOICE CREATED</b>
+
+👤 <b>User ID:</b> <code>${userId}</code>
+📦 <b>Product:</b> ${escapeHtml(product.title)}
+💎 <b>Product ID:</b> <code>${productId}</code>
+⭐ <b>Stars:</b> ${price.stars}
+🪙 <b>Coins:</b> ${price.coins}${promo ? `\n🎟 <b>Promo:</b> <code>${promo.code}</code> (${formatPromoValue(promo)})` : ''}${isSubscription ? '\n🔁 <b>Subscription:</b> every 30 days' : ''}${gift ? `\n🎁 <b>Gift For:</b> <code>${recipient.userId}</code> (${escapeHtml(getDisplayName(recipient))})` : ''}
+🔗 <b>Method:</b> openInvoice API
+📅 <b>Time:</b> ${new Date().toISOString()}
+`);
+    
+    res.json({ 
+      success: true,
+      invoiceLink: invoiceLink,
+      invoiceId,
+      product: {
+        id: product.id,
+        title: product.title,
+        stars: price.stars,
+        coins: price.coins,
+        type: product.type
+      },
+      gift: gift ? {
+        id: gift.id,
+        recipientId: recipient.userId,
+        recipientName: getDisplayName(recipient)
+      } : null,
+      promo: promo ? {
+        code: promo.code,
+        type: promo.type,
+        value: promo.value,
+        discountStars: price.discountStars,
+        bonusCoins: price.bonusCoins
+      } : null
+    });
+    
+  } catch (error) {
+    console.error('❌ Error creating invoice link:', error);
+    await sendErrorLog(error, 'Create Invoice Link Endpoint');
+    
+    res.status(500).json({ 
+      error: 'Failed to create invoice',
+      message: error.message
+    });
+  }
+});
+
+// Coin balance endpoint - the authoritative balance the Mini App displays
+app.get('/balance', requireTelegramAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    
+    const balance = await getBalance(userId);
+    
+    res.json({
+      success: true,
+      userId,
+      balance
+    });
+    
+  } catch (error) {
+    console.error('❌ Error reading balance:', error);
+    
+    res.status(500).json({
+      error: 'Failed to read balance',
+      message: error.message
+    });
+  }
+});
+
+// Coin ledger endpoint - credit/debit history, newest first
+app.get('/ledger', requireTelegramAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    
+    const entries = await getLedgerEntries(userId);
+    const balance = entries.reduce((sum, e) => sum + e.amount, 0);
+    
+    res.json({
+      success: true,
+      userId,
+      balance,
+      entries: entries.slice(-limit).reverse()
+    });
+    
+  } catch (error) {
+    console.error('❌ Error reading ledger:', error);
+    
+    res.status(500).json({
+      error: 'Failed to read ledger',
+      message: error.message
+    });
+  }
+});
+
+// Invoice status endpoint - server-side confirmation after openInvoice
+app.get('/invoice/:invoiceId/status', requireTelegramAuth, async (req, res) => {
+  try {
+    const status = await getInvoiceStatus(req.params.invoiceId);
+    
+    if (!status || status.userId !== req.userId) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    res.json({ success: true, ...status });
+    
+  } catch (error) {
+    console.error('❌ Error reading invoice status:', error);
+    
+    res.status(500).json({
+      error: 'Failed to read invoice status',
+      message: error.message
+    });
+  }
+});
+
+// Invoice status stream (Server-Sent Events). EventSource can't set headers,
+// so the Mini App passes initData as a query parameter.
+app.get('/invoice/:invoiceId/events', requireTelegramAuth, async (req, res) => {
+  const { invoiceId } = req.params;
+  
+  try {
+    const status = await getInvoiceStatus(invoiceId);
+    
+    if (!status || status.userId !== req.userId) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    writeInvoiceEvent(res, status);
+    
+    if (!STATE.invoiceStreams.has(invoiceId)) {
+      STATE.invoiceStreams.set(invoiceId, new Set());
+    }
+    STATE.invoiceStreams.get(invoiceId).add(res);
+    
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), INVOICE_STREAM_HEARTBEAT);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      const streams = STATE.invoiceStreams.get(invoiceId);
+      streams?.delete(res);
+      if (streams?.size === 0) {
+        STATE.invoiceStreams.delete(invoiceId);
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Error opening invoice stream:', error);
+    
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to open invoice stream',
+        message: error.message
+      });
+    }
+  }
+});
+
+// Purchase history endpoint - the same list /history shows, newest first
+app.get('/purchases', requireTelegramAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    const purchases = await getPurchases(userId);
+    
+    res.json({
+      success: true,
+      userId,
+      total: purchases.length,
+      offset,
+      purchases: purchases.slice(offset, offset + limit)
+    });
+    
+  } catch (error) {
+    console.error('❌ Error reading purchases:', error);
+    
+    res.status(500).json({
+      error: 'Failed to read purchases',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ROLES
+// ============================================
+
+// Roles granted with /admins that haven't been revoked
+async function getGrants(userId) {
+  return (await store.find('adminRoles', 'userId', userId)).filter(grant => !grant.revokedAt);
+}
+
+// Roles from the environment plus any granted at runtime
+async function getRoles(userId) {
+  const configured = ADMIN_ROLES.filter(role => CONFIGURED_ROLES[role].includes(userId));
+  const granted = (await getGrants(userId)).map(grant => grant.role);
+  return [...new Set([...configured, ...granted])];
+}
+
+async function hasRole(userId, ...roles) {
+  const userRoles = await getRoles(userId);
+  return userRoles.includes('owner') || roles.some(role => userRoles.includes(role));
+}
+
+async function logUnauthorized(from, command, roles) {
+  console.log(`🚫 Unauthorized command from ${from.id}: ${command}`);
+  
+  await sendSystemLog(`
+🚫 <b>UNAUTHORIZED COMMAND</b>
+
+👤 <b>User ID:</b> <code>${from.id}</code>
+📛 <b>Username:</b> @${escapeHtml(from.username || 'no_username')}
+💬 <b>Command:</b> <code>${escapeHtml(String(command || '').slice(0, 100))}</code>
+🔑 <b>Requires:</b> ${roles.join(' or ')}
+📅 <b>Time:</b> ${new Date().toISOString()}
+`);
+}
+
+// Shared guard for privileged commands: owners pass every check, everyone
+// else needs one of the listed roles. Refusals are logged to the system topic.
+async function requireRole(msg, ...roles) {
+  if (await hasRole(msg.from.id, ...roles)) {
+    return true;
+  }
+  
+  await bot.sendMessage(msg.chat.id, '❌ Unauthorized. Admin only.');
+  await logUnauthorized(msg.from, msg.text, roles);
+  
+  return false;
+}
+
+bot.onText(/^\/admins(?:@\w+)?(?:\s+(\w+))?(?:\s+(\d+))?(?:\s+(\w+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'owner')) return;
+  
+  const [, action, userIdArg, role] = match;
+  const adminName = msg.from.username || msg.from.id;
+  
+  try {
+    if (!action || action === 'list') {
+      const grants = (await store.all('adminRoles')).filter(grant => !grant.revokedAt);
+      const lines = ADMIN_ROLES.map(r => {
+        const members = [
+          ...CONFIGURED_ROLES[r].map(id => `<code>${id}</code>`),
+          ...grants.filter(g => g.role === r).map(g => `<code>${g.userId}</code>*`)
+        ];
+        return `<b>${r}:</b> ${members.length > 0 ? members.join(', ') : 'none'}`;
+      });
+      
+      return bot.sendMessage(msg.chat.id,
+        `🔑 <b>Admin Roles</b>\n\n${lines.join('\n')}\n\n` +
+        `<i>* granted with /admins; the rest come from the environment</i>`,
+        { parse_mode: 'HTML' }
+      );
+    }
+    
+    const userId = Number(userIdArg);
+    
+    if (!['grant', 'revoke'].includes(action) || !Number.isInteger(userId) || !ADMIN_ROLES.includes(role)) {
+      return bot.sendMessage(msg.chat.id,
+        `❌ Usage: /admins [list|grant|revoke] <user_id> <role>\nRoles: ${ADMIN_ROLES.join(', ')}`);
+    }
+    
+    if (action === 'grant') {
+      const added = await store.transaction(async tx => {
+        const roles = await getRoles(userId);
+        if (roles.includes(role)) return false;
+        
+        tx.insert('adminRoles', { userId, role, grantedBy: msg.from.id, grantedAt: Date.now(), revokedAt: null });
+        return true;
+      });
+      
+      if (!added) {
+        return bot.sendMessage(msg.chat.id, `⚠️ User ${userId} already has the ${role} role`);
+      }
+    } else {
+      if (CONFIGURED_ROLES[role].includes(userId)) {
+        return bot.sendMessage(msg.chat.id,
+          `⚠️ User ${userId} has ${role} from the environment - remove it there and restart`);
+      }
+      
+      const revoked = await store.transaction(async tx => {
+        const grant = (await getGrants(userId)).find(g => g.role === role);
+        if (!grant) return false;
+        
+        tx.update('adminRoles', grant.id, { revokedBy: msg.from.id, revokedAt: Date.now() });
+        return true;
+      });
+      
+      if (!revoked) {
+        return bot.sendMessage(msg.chat.id, `⚠️ User ${userId} doesn't have the ${role} role`);
+      }
+    }
+    
+    await sendSystemLog(`
+🔑 <b>ADMIN ROLE ${action === 'grant' ? 'GRANTED' : 'REVOKED'}</b>
+
+👤 <b>User ID:</b> <code>${userId}</code>
+🏷 <b>Role:</b> ${role}
+👨‍💼 <b>By:</b> ${adminName}
+📅 <b>Time:</b> ${new Date().toISOString()}
+`);
+    
+    await bot.sendMessage(msg.chat.id, `✅ ${role} ${action === 'grant' ? 'granted to' : 'revoked from'} ${userId}`);
+    
+  } catch (error) {
+    console.error('❌ Admins command error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// REFUND SYSTEM
+// ============================================
+
+bot.onText(/^\/refund(?:@\w+)? (.+)/, async (msg, match) => {
+  if (!await requireRole(msg, 'finance')) return;
+  
+  const chargeId = match[1].trim();
+  
+  try {
+    const payment = await findPaymentByChargeId(chargeId);
+    
+    if (!payment) {
+      return bot.sendMessage(msg.chat.id, `❌ Payment not found: ${chargeId}`);
+    }
+    
+    if (payment.refunded) {
+      return bot.sendMessage(msg.chat.id, `⚠️ Already refunded: ${chargeId}`);
+    }
+    
+    const refunded = await bot.refundStarPayment(payment.userId, chargeId);
+    
+    if (refunded) {
+      await recordRefund(chargeId, {
+        source: 'admin',
+        processedBy: msg.from.username || msg.from.id
+      });
+      await pushChargeStatus(chargeId);
+      
+      await sendTransactionLog(`
+💸 <b>REFUND PROCESSED</b>
+
+👤 <b>User ID:</b> <code>${payment.userId}</code>${payment.recipientId ? `\n🎁 <b>Gift Recipient:</b> <code>${payment.recipientId}</code>` : ''}
+💳 <b>Charge ID:</b> <code>${chargeId}</code>
+⭐ <b>Stars Refunded:</b> ${payment.spentStars}
+🪙 <b>Coins Delivered:</b> ${payment.coinsDelivered} (reversed once Telegram confirms)
+📅 <b>Refund Date:</b> ${new Date().toISOString()}
+👨‍💼 <b>Processed by:</b> ${msg.from.username || msg.from.id}
+`);
+      
+      await bot.sendMessage(msg.chat.id, `✅ Refund successful!\n\nUser: ${payment.userId}\nStars: ${payment.spentStars}`);
+      
+      await bot.sendMessage(payment.userId, 
+        `💸 Your payment has been refunded!\n\n` +
+        `Stars refunded: ${payment.spentStars}\n` +
+        `Reason: Manual refund by admin`
+      );
+      
+    } else {
+      await bot.sendMessage(msg.chat.id, `❌ Refund failed. Check logs.`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Refund error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// DELIVERY QUEUE COMMANDS
+// ============================================
+
+bot.onText(/^\/deliveries(?:@\w+)?\b/, async (msg) => {
+  if (!await requireRole(msg, 'support')) return;
+  
+  try {
+    const pending = await store.find('deliveries', 'status', 'pending');
+    const failed = await store.find('deliveries', 'status', 'failed');
+    const stuck = [...failed, ...pending];
+    
+    if (stuck.length === 0) {
+      return bot.sendMessage(msg.chat.id, '✅ No stuck deliveries');
+    }
+    
+    const now = Date.now();
+    let message = `📮 <b>Stuck Deliveries (${stuck.length})</b>\n`;
+    
+    stuck.slice(0, 20).forEach(item => {
+      const next = item.status === 'pending'
+        ? `next retry in ${Math.max(0, Math.ceil((item.nextAttemptAt - now) / 60000))}m`
+        : 'retries exhausted';
+      
+      message += `\n• <code>${item.chargeId}</code>\n` +
+        `  User <code>${item.userId}</code> - ${item.coins} 🪙${item.credited ? ' (credited, message pending)' : ''}\n` +
+        `  ${item.status === 'failed' ? '❌' : '⏳'} ${item.attempts} attempts, ${next}\n` +
+        `  Last error: ${escapeHtml(item.lastError)}\n`;
+    });
+    
+    if (stuck.length > 20) {
+      message += `\n…and ${stuck.length - 20} more`;
+    }
+    
+    await bot.sendMessage(msg.chat.id, message, { parse_mode: 'HTML' });
+    
+  } catch (error) {
+    console.error('❌ Deliveries error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+bot.onText(/^\/redeliver(?:@\w+)? (.+)/, async (msg, match) => {
+  if (!await requireRole(msg, 'support')) return;
+  
+  const chargeId = match[1].trim();
+  
+  try {
+    const item = await store.findOne('deliveries', 'chargeId', chargeId);
+    
+    if (!item) {
+      return bot.sendMessage(msg.chat.id, `❌ No queued delivery for: ${chargeId}`);
+    }
+    
+    if (item.status === 'delivered') {
+      return bot.sendMessage(msg.chat.id, `⚠️ Already delivered: ${chargeId}`);
+    }
+    
+    if (item.status === 'cancelled') {
+      return bot.sendMessage(msg.chat.id, `⚠️ Delivery cancelled - the payment was refunded: ${chargeId}`);
+    }
+    
+    const delivered = await attemptRedelivery(item, { force: true });
+    
+    if (delivered) {
+      await bot.sendMessage(msg.chat.id, `✅ Redelivered!\n\nUser: ${item.userId}\nCoins: ${item.coins}`);
+    } else {
+      const updated = await store.get('deliveries', item.id);
+      await bot.sendMessage(msg.chat.id, `❌ Redelivery failed: ${updated.lastError}`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Redeliver error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// WEBHOOK COMMANDS
+// ============================================
+
+bot.onText(/^\/webhooks(?:@\w+)?(?:\s+(\w+))?(?:\s+(\d+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'ops')) return;
+  
+  const [, action, id] = match;
+  
+  try {
+    if (action === 'retry') {
+      const item = id ? await store.get('webhookOutbox', id) : null;
+      
+      if (!item) {
+        return bot.sendMessage(msg.chat.id, '❌ Usage: /webhooks retry <outbox_id>');
+      }
+      if (item.status === 'delivered') {
+        return bot.sendMessage(msg.chat.id, `✅ Webhook #${item.id} was already delivered`);
+      }
+      
+      const delivered = await webhookOutbox.send(item, { force: true });
+      return bot.sendMessage(msg.chat.id, delivered
+        ? `✅ Webhook #${item.id} delivered`
+        : `❌ Webhook #${item.id} failed again - see /webhooks`);
+    }
+    
+    if (action) {
+      return bot.sendMessage(msg.chat.id, '❌ Usage: /webhooks [retry <outbox_id>]');
+    }
+    
+    const all = await store.all('webhookOutbox');
+    const pending = all.filter(item => item.status === 'pending');
+    const failed = all.filter(item => item.status === 'failed');
+    const delivered = all.filter(item => item.status === 'delivered');
+    
+    let message = `🪝 <b>Outgoing Webhooks</b>\n\n` +
+      `<b>Status:</b> ${webhooksEnabled() ? '✅ Enabled' : '⏸ Disabled (set WEBHOOK_URLS and WEBHOOK_SECRET)'}\n` +
+      `<b>Events:</b> ${WEBHOOK_EVENTS.join(', ')}\n` +
+      `<b>URLs:</b>\n${WEBHOOK_URLS.map(url => `• ${escapeHtml(url)}`).join('\n') || '• none'}\n\n` +
+      `✅ Delivered (last ${WEBHOOK_OUTBOX_RETENTION_DAYS}d): ${delivered.length}\n` +
+      `⏳ Pending: ${pending.length}\n` +
+      `❌ Failed: ${failed.length}\n`;
+    
+    const now = Date.now();
+    const stuck = [...failed, ...pending].slice(-10);
+    
+    for (const item of stuck) {
+      const next = item.status === 'pending'
+        ? `next retry in ${Math.max(0, Math.ceil((item.nextAttemptAt - now) / 60000))}m`
+        : 'retries exhausted';
+      
+      message += `\n• #${item.id} ${item.event} → ${escapeHtml(item.url)}\n` +
+        `  ${item.status === 'failed' ? '❌' : '⏳'} ${item.attempts} attempts, ${next}\n` +
+        `  Last error: ${escapeHtml(item.lastError || 'none')}\n`;
+    }
+    
+    await bot.sendMessage(msg.chat.id, message, { parse_mode: 'HTML' });
+    
+  } catch (error) {
+    console.error('❌ Webhooks command error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// STARS RECONCILIATION
+// ============================================
+
+// Fetching and diffing live in reconcile.js; this is the schedule, the report and /reconcile
+
+function formatReconciliationReport(report) {
+  const section = (title, items, format) => {
+    if (items.length === 0) return '';
+    const lines = items.slice(0, 10).map(item => `• ${format(item)}`).join('\n');
+    const more = items.length > 10 ? `\n…and ${items.length - 10} more` : '';
+    return `\n\n<b>${title} (${items.length}):</b>\n${lines}${more}`;
+  };
+  
+  const status = report.discrepancies === 0
+    ? '✅ <b>Status:</b> In sync'
+    : `⚠️ <b>Discrepancies:</b> ${report.discrepancies}`;
+  
+  return `
+🧾 <b>STARS RECONCILIATION</b>
+━━━━━━━━━━━━━━━━━━━━
+
+📅 <b>Since:</b> ${new Date(report.since).toISOString()}
+💳 <b>Payments Checked:</b> ${report.checked}
+💸 <b>Refunds Checked:</b> ${report.refundsChecked}
+${status}` +
+    section('Missing from store', report.missing,
+      i => `<code>${i.chargeId}</code> - user <code>${i.userId}</code>, ${i.amount} ⭐`) +
+    section('Amount mismatch', report.mismatched,
+      i => `<code>${i.chargeId}</code> - stored ${i.expected} ⭐, settled ${i.settled} ⭐`) +
+    section('Refunds we didn\'t know about', report.unknownRefunds,
+      i => `<code>${i.chargeId}</code> - user <code>${i.userId}</code>, ${i.amount} ⭐`) +
+    section('Stored but not on Telegram', report.notOnTelegram,
+      i => `<code>${i.chargeId}</code> - user <code>${i.userId}</code>, ${i.amount} ⭐`);
+}
+
+async function runReconciliation(since = Date.now() - RECONCILE_LOOKBACK) {
+  if (STATE.isReconciling) {
+    throw new Error('Reconciliation already running');
+  }
+  
+  STATE.isReconciling = true;
+  
+  try {
+    const { transactions, cursor } = await fetchStarTransactions(bot, since, { cursor: STATE.starTransactionsCursor });
+    STATE.starTransactionsCursor = cursor;
+    
+    const report = await reconcileStarTransactions(store, transactions, since);
+    STATE.lastReconciliation = { ...report, finishedAt: Date.now() };
+    
+    await sendTransactionLog(formatReconciliationReport(report));
+    console.log(`🧾 Reconciliation done: ${report.checked} payments, ${report.discrepancies} discrepancies`);
+    
+    return report;
+  } finally {
+    STATE.isReconciling = false;
+  }
+}
+
+function startReconciliation() {
+  if (STATE.reconcileInterval) return;
+  
+  STATE.reconcileInterval = setInterval(async () => {
+    try {
+      await runReconciliation();
+    } catch (error) {
+      console.error('Reconciliation error:', error);
+      await sendErrorLog(error, 'Stars Reconciliation');
+    }
+  }, RECONCILE_INTERVAL);
+}
+
+// Accepts "7d", "24h", "YYYY-MM-DD" or nothing (default lookback)
+function parseSince(arg) {
+  if (!arg) return Date.now() - RECONCILE_LOOKBACK;
+  
+  const relative = arg.match(/^(\d+)([hd])$/);
+  if (relative) {
+    const unit = relative[2] === 'd' ? 86400000 : 3600000;
+    return Date.now() - parseInt(relative[1], 10) * unit;
+  }
+  
+  if (/^\d{4}-\d{2}-\d{2}$/.test(arg)) {
+    const date = Date.parse(arg + 'T00:00:00Z');
+    return Number.isNaN(date) ? null : date;
+  }
+  
+  return null;
+}
+
+bot.onText(/^\/reconcile(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'finance')) return;
+  
+  const since = parseSince(match[1]);
+  
+  if (since === null) {
+    return bot.sendMessage(msg.chat.id, '❌ Usage: /reconcile [7d|24h|YYYY-MM-DD]');
+  }
+  
+  await bot.sendMessage(msg.chat.id, '🧾 Reconciling Star transactions...');
+  
+  try {
+    const report = await runReconciliation(since);
+    
+    await bot.sendMessage(msg.chat.id,
+      report.discrepancies === 0
+        ? `✅ In sync - ${report.checked} payments checked`
+        : `⚠️ ${report.discrepancies} discrepancies in ${report.checked} payments - see the transaction log`
+    );
+  } catch (error) {
+    console.error('❌ Reconcile error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// PRODUCT CATALOG COMMANDS
+// ============================================
+
+function formatProductLine(p) {
+  const extras = [p.icon, p.badge ? `[${p.badge}]` : null].filter(Boolean).join(' ');
+  const period = p.type === 'subscription' ? '/month' : '';
+  return `${p.enabled ? '✅' : '⏸'} <code>${p.id}</code> - ${escapeHtml(p.title)}: ${p.stars} ⭐ → ${p.coins} 🪙${period}` +
+    ` (#${p.sortOrder})${extras ? ' ' + escapeHtml(extras) : ''}`;
+}
+
+// Converts a command argument to the type the catalog field expects.
+// "-" clears optional fields.
+function parseProductField(field, value) {
+  if (['stars', 'coins', 'sortOrder'].includes(field)) {
+    const number = Number(value);
+    if (!Number.isInteger(number)) throw new Error(`${field} must be an integer`);
+    return number;
+  }
+  if (field === 'enabled') {
+    if (!['true', 'false'].includes(value)) throw new Error('enabled must be true or false');
+    return value === 'true';
+  }
+  if (['icon', 'badge'].includes(field) && value === '-') {
+    return null;
+  }
+  if (field === 'type' && !PRODUCT_TYPES.includes(value)) {
+    throw new Error(`type must be one of ${PRODUCT_TYPES.join(', ')}`);
+  }
+  return value;
+}
+
+bot.onText(/^\/product(?:@\w+)?(?:\s+(\w+))?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'finance')) return;
+  
+  const action = match[1];
+  const args = (match[2] || '').trim();
+  
+  try {
+    if (!action || action === 'list') {
+      const products = getSortedProducts({ includeDisabled: true });
+      return bot.sendMessage(msg.chat.id,
+        `📦 <b>Product Catalog (${products.length})</b>\n\n` + products.map(formatProductLine).join('\n'),
+        { parse_mode: 'HTML' }
+      );
+    }
+    
+    if (action === 'add') {
+      const parts = args.match(/^(\S+)\s+(\d+)\s+(\d+)\s+(.+)$/);
+      if (!parts) {
+        return bot.sendMessage(msg.chat.id, '❌ Usage: /product add <id> <stars> <coins> <title>');
+      }
+      
+      const [, id, stars, coins, title] = parts;
+      if (!PRODUCT_ID_PATTERN.test(id)) {
+        return bot.sendMessage(msg.chat.id, `❌ Product IDs must be 1-${PRODUCT_ID_MAX_LENGTH} characters: a-z, 0-9 or _`);
+      }
+      if (PRODUCTS[id]) {
+        return bot.sendMessage(msg.chat.id, `❌ Product already exists: ${id}`);
+      }
+      
+      const maxSortOrder = Math.max(0, ...Object.values(PRODUCTS).map(p => p.sortOrder));
+      
+      await saveCatalog({
+        ...PRODUCTS,
+        [id]: {
+          id,
+          title,
+          description: `${coins} Void Coins`,
+          stars: Number(stars),
+          coins: Number(coins),
+          enabled: true,
+          sortOrder: maxSortOrder + 10
+        }
+      });
+      
+      await sendTransactionLog(`📦 <b>PRODUCT ADDED</b> <code>${id}</code> by ${msg.from.username || msg.from.id}\n${formatProductLine(PRODUCTS[id])}`);
+      return bot.sendMessage(msg.chat.id, `✅ Product added\n\n${formatProductLine(PRODUCTS[id])}`, { parse_mode: 'HTML' });
+    }
+    
+    if (action === 'edit') {
+      const parts = args.match(/^(\S+)\s+(\w+)\s+(.+)$/);
+      if (!parts) {
+        return bot.sendMessage(msg.chat.id,
+          `❌ Usage: /product edit <id> <field> <value>\nFields: ${PRODUCT_EDITABLE_FIELDS.join(', ')}`);
+      }
+      
+      const [, id, field, value] = parts;
+      if (!PRODUCTS[id]) {
+        return bot.sendMessage(msg.chat.id, `❌ Product not found: ${id}`);
+      }
+      if (!PRODUCT_EDITABLE_FIELDS.includes(field)) {
+        return bot.sendMessage(msg.chat.id, `❌ Unknown field: ${field}\nFields: ${PRODUCT_EDITABLE_FIELDS.join(', ')}`);
+      }
+      
+      const previous = PRODUCTS[id][field];
+      await saveCatalog({ ...PRODUCTS, [id]: { ...PRODUCTS[id], [field]: parseProductField(field, value) } });
+      
+      await sendTransactionLog(
+        `📦 <b>PRODUCT EDITED</b> <code>${id}</code> by ${msg.from.username || msg.from.id}\n` +
+        `${field}: ${escapeHtml(previous)} → ${escapeHtml(PRODUCTS[id][field])}`
+      );
+      return bot.sendMessage(msg.chat.id, `✅ Product updated\n\n${formatProductLine(PRODUCTS[id])}`, { parse_mode: 'HTML' });
+    }
+    
+    if (action === 'disable' || action === 'enable') {
+      const id = args.split(/\s+/)[0];
+      if (!PRODUCTS[id]) {
+        return bot.sendMessage(msg.chat.id, `❌ Product not found: ${id || '(none)'}`);
+      }
+      
+      await saveCatalog({ ...PRODUCTS, [id]: { ...PRODUCTS[id], enabled: action === 'enable' } });
+      
+      await sendTransactionLog(`📦 <b>PRODUCT ${action.toUpperCase()}D</b> <code>${id}</code> by ${msg.from.username || msg.from.id}`);
+      return bot.sendMessage(msg.chat.id, `✅ Product ${action}d\n\n${formatProductLine(PRODUCTS[id])}`, { parse_mode: 'HTML' });
+    }
+    
+    await bot.sendMessage(msg.chat.id, '❌ Usage: /product list|add|edit|disable|enable');
+    
+  } catch (error) {
+    console.error('❌ Product command error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// PROMO CODE COMMANDS
+// ============================================
+
+// Parses "key=value" options from /promo create
+function parsePromoOptions(tokens) {
+  const options = { expiresAt: null, maxRedemptions: null, perUserLimit: 1, productIds: null };
+  
+  for (const token of tokens) {
+    const [key, value] = token.split('=');
+    
+    if (key === 'expires') {
+      const date = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? value + 'T23:59:59Z' : value);
+      if (Number.isNaN(date)) throw new Error(`Invalid expiry date: ${value}`);
+      options.expiresAt = date;
+    } else if (key === 'max' || key === 'peruser') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) throw new Error(`${key} must be a whole number`);
+      options[key === 'max' ? 'maxRedemptions' : 'perUserLimit'] = number || null;
+    } else if (key === 'products') {
+      const ids = value.split(',').filter(Boolean);
+      const unknown = ids.filter(id => !PRODUCTS[id]);
+      if (unknown.length > 0) throw new Error(`Unknown products: ${unknown.join(', ')}`);
+      options.productIds = ids;
+    } else {
+      throw new Error(`Unknown option: ${key}`);
+    }
+  }
+  
+  return options;
+}
+
+function formatPromoLine(promo, redemptionCount) {
+  const limits = [
+    promo.maxRedemptions ? `${redemptionCount}/${promo.maxRedemptions} used` : `${redemptionCount} used`,
+    promo.perUserLimit ? `${promo.perUserLimit}/user` : 'unlimited/user',
+    promo.expiresAt ? `expires ${new Date(promo.expiresAt).toISOString().slice(0, 10)}` : 'no expiry'
+  ];
+  const expired = promo.expiresAt && Date.now() > promo.expiresAt;
+  const icon = !promo.active ? '⏸' : expired ? '⌛' : '✅';
+  
+  return `${icon} <code>${promo.code}</code> - ${formatPromoValue(promo)}\n` +
+    `   ${limits.join(', ')}${promo.productIds ? `\n   Products: ${promo.productIds.join(', ')}` : ''}`;
+}
+
+bot.onText(/^\/promo(?:@\w+)?(?:\s+(\w+))?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'finance')) return;
+  
+  const action = match[1];
+  const args = (match[2] || '').trim().split(/\s+/).filter(Boolean);
+  const adminName = msg.from.username || msg.from.id;
+  
+  try {
+    if (!action || action === 'list') {
+      const promos = await store.all('promoCodes');
+      
+      if (promos.length === 0) {
+        return bot.sendMessage(msg.chat.id, '🎟 No promo codes yet');
+      }
+      
+      const lines = [];
+      for (const promo of promos) {
+        const redemptions = await store.find('promoRedemptions', 'code', promo.code);
+        lines.push(formatPromoLine(promo, redemptions.length));
+      }
+      
+      return bot.sendMessage(msg.chat.id,
+        `🎟 <b>Promo Codes (${promos.length})</b>\n\n${lines.join('\n')}`,
+        { parse_mode: 'HTML' }
+      );
+    }
+    
+    if (action === 'create') {
+      const [rawCode, type, rawValue, ...optionTokens] = args;
+      const code = normalizePromoCode(rawCode);
+      const value = Number(rawValue);
+      
+      if (!rawCode || !PROMO_TYPES.includes(type) || !Number.isInteger(value) || value < 1) {
+        return bot.sendMessage(msg.chat.id,
+          '❌ Usage: /promo create <CODE> <percent|fixed|bonus> <value> ' +
+          '[expires=YYYY-MM-DD] [max=N] [peruser=N] [products=id1,id2]');
+      }
+      if (!PROMO_CODE_PATTERN.test(code)) {
+        return bot.sendMessage(msg.chat.id, `❌ Codes must be 3-${PROMO_CODE_MAX_LENGTH} characters: A-Z, 0-9, _ or -`);
+      }
+      if (type === 'percent' && value > 99) {
+        return bot.sendMessage(msg.chat.id, '❌ Percent discounts must be between 1 and 99');
+      }
+      
+      const options = parsePromoOptions(optionTokens);
+      
+      const promo = await store.transaction(async tx => {
+        if (await store.findOne('promoCodes', 'code', code)) {
+          throw new Error(`Promo code already exists: ${code}`);
+        }
+        
+        return tx.insert('promoCodes', {
+          code,
+          type,
+          value,
+          ...options,
+          active: true,
+          createdBy: adminName,
+          createdAt: new Date().toISOString()
+        });
+      });
+      
+      await sendTransactionLog(`🎟 <b>PROMO CREATED</b> by ${adminName}\n${formatPromoLine(promo, 0)}`);
+      return bot.sendMessage(msg.chat.id, `✅ Promo code created\n\n${formatPromoLine(promo, 0)}`, { parse_mode: 'HTML' });
+    }
+    
+    if (action === 'disable' || action === 'enable') {
+      const promo = await store.findOne('promoCodes', 'code', normalizePromoCode(args[0]));
+      
+      if (!promo) {
+        return bot.sendMessage(msg.chat.id, `❌ Promo code not found: ${args[0] || '(none)'}`);
+      }
+      
+      await store.update('promoCodes', promo.id, { active: action === 'enable' });
+      
+      await sendTransactionLog(`🎟 <b>PROMO ${action.toUpperCase()}D</b> <code>${promo.code}</code> by ${adminName}`);
+      return bot.sendMessage(msg.chat.id, `✅ Promo code ${promo.code} ${action}d`);
+    }
+    
+    if (action === 'info') {
+      const promo = await store.findOne('promoCodes', 'code', normalizePromoCode(args[0]));
+      
+      if (!promo) {
+        return bot.sendMessage(msg.chat.id, `❌ Promo code not found: ${args[0] || '(none)'}`);
+      }
+      
+      const redemptions = await store.find('promoRedemptions', 'code', promo.code);
+      const discount = redemptions.reduce((sum, r) => sum + r.discountStars, 0);
+      const bonus = redemptions.reduce((sum, r) => sum + r.bonusCoins, 0);
+      const recent = redemptions.slice(-10).reverse()
+        .map(r => `• <code>${r.userId}</code> - ${r.productId} (${r.timestamp.slice(0, 16).replace('T', ' ')})`)
+        .join('\n');
+      
+      return bot.sendMessage(msg.chat.id,
+        `🎟 <b>Promo Code Details</b>\n\n${formatPromoLine(promo, redemptions.length)}\n\n` +
+        `⭐ <b>Stars Discounted:</b> ${discount}\n` +
+        `🪙 <b>Bonus Coins Given:</b> ${bonus}\n` +
+        `👨‍💼 <b>Created by:</b> ${promo.createdBy}` +
+        (recent ? `\n\n<b>Recent Redemptions:</b>\n${recent}` : ''),
+        { parse_mode: 'HTML' }
+      );
+    }
+    
+    await bot.sendMessage(msg.chat.id, '❌ Usage: /promo list|create|info|disable|enable');
+    
+  } catch (error) {
+    console.error('❌ Promo command error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+// editUserStarSubscription isn't wrapped by node-telegram-bot-api 0.64
+async function editUserStarSubscription(userId, chargeId, isCanceled) {
+  if (typeof bot.editUserStarSubscription === 'function') {
+    return bot.editUserStarSubscription(userId, chargeId, isCanceled);
+  }
+  return bot._request('editUserStarSubscription', {
+    form: { user_id: userId, telegram_payment_charge_id: chargeId, is_canceled: isCanceled }
+  });
+}
+
+// Records the first payment or a renewal of a Star subscription. Renewals
+// arrive as ordinary successful_payment updates with a new charge ID and the
+// original invoice payload, which is how they're matched to the subscription.
+async function recordSubscriptionPayment(userId, productId, payment, price) {
+  const chargeId = payment.telegram_payment_charge_id;
+  const expiresAt = payment.subscription_expiration_date * 1000;
+  
+  return store.transaction(async tx => {
+    const existing = (await store.find('subscriptions', 'userId', userId))
+      .find(sub => sub.invoicePayload === payment.invoice_payload);
+    
+    if (!existing) {
+      const subscription = tx.insert('subscriptions', {
+        userId,
+        productId,
+        chargeId,
+        invoicePayload: payment.invoice_payload,
+        status: 'active',
+        stars: price.stars,
+        coins: price.coins,
+        startedAt: Date.now(),
+        expiresAt,
+        renewals: 0,
+        lastChargeId: chargeId,
+        cancelledAt: null
+      });
+      return { subscription, renewal: false };
+    }
+    
+    // Same charge seen again (e.g. crash before the payment record was saved)
+    if (existing.lastChargeId === chargeId) {
+      return { subscription: existing, renewal: existing.renewals > 0 };
+    }
+    
+    const patch = {
+      status: 'active',
+      expiresAt,
+      renewals: existing.renewals + 1,
+      lastChargeId: chargeId,
+      cancelledAt: null
+    };
+    tx.update('subscriptions', existing.id, patch);
+    
+    return { subscription: { ...existing, ...patch }, renewal: true };
+  });
+}
+
+// Marks subscriptions that weren't renewed as expired
+async function expireSubscriptions() {
+  const now = Date.now();
+  const subscriptions = [
+    ...await store.find('subscriptions', 'status', 'active'),
+    ...await store.find('subscriptions', 'status', 'cancelled')
+  ];
+  
+  for (const sub of subscriptions) {
+    const deadline = sub.status === 'active' ? sub.expiresAt + SUBSCRIPTION_GRACE_PERIOD : sub.expiresAt;
+    
+    if (now > deadline) {
+      await store.update('subscriptions', sub.id, { status: 'expired', expiredAt: now });
+      console.log(`⌛ Subscription #${sub.id} for user ${sub.userId} expired`);
+    }
+  }
+}
+
+function formatSubscription(sub) {
+  const product = PRODUCTS[sub.productId];
+  const statusLabel = {
+    active: '✅ Active',
+    cancelled: '⏸ Cancelled',
+    expired: '⌛ Expired'
+  }[sub.status];
+  const until = new Date(sub.expiresAt).toISOString().slice(0, 10);
+  
+  return `<b>${escapeHtml(product ? product.title : sub.productId)}</b> - ${sub.coins} 🪙 for ${sub.stars} ⭐/month\n` +
+    `${statusLabel}${sub.status === 'active' ? `, renews ${until}` : sub.status === 'cancelled' ? `, ends ${until}` : ''}`;
+}
+
+bot.onText(/^\/subscription(?:@\w+)?\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const subscriptions = (await store.find('subscriptions', 'userId', msg.from.id))
+      .filter(sub => sub.status !== 'expired');
+    
+    if (subscriptions.length === 0) {
+      return bot.sendMessage(chatId, '📭 You have no active subscriptions.\n\nSubscriptions can be started from the app.', {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🎮 Open App', web_app: { url: WEB_APP_URL } }]]
+        }
+      });
+    }
+    
+    for (const sub of subscriptions) {
+      const button = sub.status === 'active'
+        ? { text: '❌ Cancel subscription', callback_data: `sub_cancel:${sub.id}` }
+        : { text: '▶️ Resume subscription', callback_data: `sub_resume:${sub.id}` };
+      
+      await bot.sendMessage(chatId, `🔁 ${formatSubscription(sub)}`, {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [[button]] }
+      });
+    }
+  } catch (error) {
+    console.error('❌ Subscription command error:', error);
+    await bot.sendMessage(chatId, '❌ Error loading subscriptions: ' + error.message);
+  }
+});
+
+// Cancel/resume buttons from /subscription
+async function handleSubscriptionCallback(query, action, subscriptionId) {
+  const sub = await store.get('subscriptions', subscriptionId);
+  
+  if (!sub || sub.userId !== query.from.id) {
+    return bot.answerCallbackQuery(query.id, { text: 'Subscription not found' });
+  }
+  
+  const cancel = action === 'sub_cancel';
+  
+  if ((cancel && sub.status !== 'active') || (!cancel && sub.status !== 'cancelled')) {
+    return bot.answerCallbackQuery(query.id, { text: 'Nothing to change' });
+  }
+  
+  await editUserStarSubscription(sub.userId, sub.chargeId, cancel);
+  
+  const patch = cancel
+    ? { status: 'cancelled', cancelledAt: Date.now() }
+    : { status: 'active', cancelledAt: null };
+  await store.update('subscriptions', sub.id, patch);
+  
+  await sendTransactionLog(`
+${cancel ? '⏸ <b>SUBSCRIPTION CANCELLED</b>' : '▶️ <b>SUBSCRIPTION RESUMED</b>'}
+
+👤 <b>User ID:</b> <code>${sub.userId}</code>
+💎 <b>Product ID:</b> <code>${sub.productId}</code>
+🔢 <b>Subscription:</b> #${sub.id}
+📅 <b>Paid Until:</b> ${new Date(sub.expiresAt).toISOString()}
+`);
+  
+  await bot.answerCallbackQuery(query.id, { text: cancel ? 'Subscription cancelled' : 'Subscription resumed' });
+  await bot.editMessageText(`🔁 ${formatSubscription({ ...sub, ...patch })}`, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[cancel
+        ? { text: '▶️ Resume subscription', callback_data: `sub_resume:${sub.id}` }
+        : { text: '❌ Cancel subscription', callback_data: `sub_cancel:${sub.id}` }
+      ]]
+    }
+  });
+}
+
+// ============================================
+// PURCHASE HISTORY
+// ============================================
+
+const HISTORY_PAGE_SIZE = 5;
+
+// A payment as shown to the user who made it, newest first
+async function getPurchases(userId) {
+  const payments = await store.find('payments', 'userId', userId);
+  return payments.reverse().map(toPurchase);
+}
+
+function toPurchase(payment) {
+  return {
+    id: payment.id,
+    chargeId: payment.chargeId,
+    productId: payment.productId,
+    title: PRODUCTS[payment.productId]?.title || payment.productId,
+    stars: payment.spentStars,
+    coins: payment.coinsDelivered,
+    promoCode: payment.promoCode || null,
+    recipientId: payment.recipientId || null,
+    recurring: payment.recurring || null,
+    createdAt: new Date(payment.createdAt).toISOString(),
+    refunded: Boolean(payment.refunded),
+    refundedAt: payment.refundedAt || null
+  };
+}
+
+function formatPurchaseLine(purchase) {
+  return `${purchase.refunded ? '↩️' : '✅'} ${purchase.createdAt.slice(0, 10)} - ${escapeHtml(purchase.title)}: ` +
+    `${purchase.stars} ⭐ → ${purchase.coins} 🪙${purchase.recipientId ? ' 🎁' : ''}${purchase.refunded ? ' <i>(refunded)</i>' : ''}`;
+}
+
+async function renderHistoryPage(userId, page) {
+  const purchases = await getPurchases(userId);
+  
+  if (purchases.length === 0) {
+    return {
+      text: '📭 You have no purchases yet.\n\nCoin packages can be bought in the app.',
+      reply_markup: {
+        inline_keyboard: [[{ text: '🎮 Open App', web_app: { url: WEB_APP_URL } }]]
+      }
+    };
+  }
+  
+  const pages = Math.ceil(purchases.length / HISTORY_PAGE_SIZE);
+  page = Math.min(Math.max(page, 0), pages - 1);
+  const items = purchases.slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE);
+  
+  const navigation = [];
+  if (page > 0) navigation.push({ text: '⬅️ Newer', callback_data: `history:${page - 1}` });
+  if (page < pages - 1) navigation.push({ text: 'Older ➡️', callback_data: `history:${page + 1}` });
+  
+  return {
+    text: `🧾 <b>Your Purchases</b> (page ${page + 1}/${pages})\n\n` +
+      items.map(formatPurchaseLine).join('\n') +
+      '\n\nTap a purchase to see its receipt.',
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        ...items.map(p => [{ text: `🧾 ${p.createdAt.slice(0, 10)} ${p.title}`, callback_data: `receipt:${p.id}:${page}` }]),
+        ...(navigation.length > 0 ? [navigation] : [])
+      ]
+    }
+  };
+}
+
+function formatReceipt(purchase) {
+  return `🧾 <b>Receipt</b>
+
+📦 <b>Product:</b> ${escapeHtml(purchase.title)}
+⭐ <b>Paid:</b> ${purchase.stars} Stars
+🪙 <b>Coins:</b> ${purchase.coins}${purchase.promoCode ? `\n🎟 <b>Promo:</b> <code>${purchase.promoCode}</code>` : ''}${purchase.recipientId ? `\n🎁 <b>Gift For:</b> <code>${purchase.recipientId}</code>` : ''}${purchase.recurring ? `\n🔁 <b>Subscription:</b> ${purchase.recurring === 'renewal' ? 'renewal' : 'first payment'}` : ''}
+📅 <b>Date:</b> ${purchase.createdAt}
+📋 <b>Status:</b> ${purchase.refunded ? `Refunded${purchase.refundedAt ? ` on ${purchase.refundedAt.slice(0, 10)}` : ''}` : 'Paid'}
+💳 <b>Charge ID:</b> <code>${purchase.chargeId}</code>
+
+Share the charge ID with support if you need help with this purchase.`;
+}
+
+bot.onText(/^\/history(?:@\w+)?\b/, async (msg) => {
+  try {
+    const page = await renderHistoryPage(msg.from.id, 0);
+    const { text, ...options } = page;
+    
+    await bot.sendMessage(msg.chat.id, text, options);
+  } catch (error) {
+    console.error('❌ History command error:', error);
+    await bot.sendMessage(msg.chat.id, '❌ Error loading purchases: ' + error.message);
+  }
+});
+
+// Page and receipt buttons from /history
+async function handleHistoryCallback(query, action, argument, page) {
+  const target = { chat_id: query.message.chat.id, message_id: query.message.message_id };
+  
+  if (action === 'history') {
+    const { text, ...options } = await renderHistoryPage(query.from.id, parseInt(argument, 10) || 0);
+    await bot.answerCallbackQuery(query.id);
+    return bot.editMessageText(text, { ...target, ...options });
+  }
+  
+  const payment = await store.get('payments', argument);
+  
+  if (!payment || payment.userId !== query.from.id) {
+    return bot.answerCallbackQuery(query.id, { text: 'Purchase not found' });
+  }
+  
+  await bot.answerCallbackQuery(query.id);
+  await bot.editMessageText(formatReceipt(toPurchase(payment)), {
+    ...target,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[{ text: '⬅️ Back to purchases', callback_data: `history:${parseInt(page, 10) || 0}` }]]
+    }
+  });
+}
+
+// ============================================
+// FRAUD RULE COMMANDS
+// ============================================
+
+bot.onText(/^\/fraud(?:@\w+)?(?:\s+(\w+))?(?:\s+(\S+))?(?:\s+(\S+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'finance')) return;
+  
+  const [, action, first, second] = match;
+  const adminName = msg.from.username || msg.from.id;
+  
+  try {
+    if (!action || action === 'rules') {
+      const { rules, whitelist } = await getFraudSettings();
+      const lines = Object.entries(rules)
+        .map(([rule, value]) => `• <code>${rule}</code>: ${value || 'off'}${value === FRAUD_RULE_DEFAULTS[rule] ? '' : ' (changed)'}`);
+      
+      return bot.sendMessage(msg.chat.id,
+        `🛡 <b>Fraud Rules</b>\n\n${lines.join('\n')}\n\n` +
+        `<b>Whitelist:</b> ${whitelist.length > 0 ? whitelist.map(id => `<code>${id}</code>`).join(', ') : 'empty'}`,
+        { parse_mode: 'HTML' }
+      );
+    }
+    
+    if (action === 'set') {
+      const value = Number(second);
+      
+      if (!(first in FRAUD_RULE_DEFAULTS) || !Number.isInteger(value) || value < 0) {
+        return bot.sendMessage(msg.chat.id,
+          `❌ Usage: /fraud set <rule> <value>\nRules: ${Object.keys(FRAUD_RULE_DEFAULTS).join(', ')}\nUse 0 to disable a rule.`);
+      }
+      
+      await updateFraudSettings(current => ({ ...current, rules: { ...current.rules, [first]: value } }));
+      
+      await sendTransactionLog(`🛡 <b>FRAUD RULE CHANGED</b> by ${adminName}\n<code>${first}</code> = ${value || 'off'}`);
+      return bot.sendMessage(msg.chat.id, `✅ ${first} set to ${value || 'off'}`);
+    }
+    
+    if (action === 'whitelist' || action === 'unwhitelist') {
+      const userId = Number(first);
+      
+      if (!Number.isInteger(userId)) {
+        return bot.sendMessage(msg.chat.id, `❌ Usage: /fraud ${action} <user_id>`);
+      }
+      
+      const add = action === 'whitelist';
+      await updateFraudSettings(current => ({
+        ...current,
+        whitelist: add
+          ? [...new Set([...current.whitelist, userId])]
+          : current.whitelist.filter(id => id !== userId)
+      }));
+      
+      await sendTransactionLog(`🛡 <b>FRAUD ${add ? 'WHITELIST ADD' : 'WHITELIST REMOVE'}</b> <code>${userId}</code> by ${adminName}`);
+      return bot.sendMessage(msg.chat.id, `✅ User ${userId} ${add ? 'whitelisted' : 'removed from whitelist'}`);
+    }
+    
+    await bot.sendMessage(msg.chat.id, '❌ Usage: /fraud rules|set|whitelist|unwhitelist');
+    
+  } catch (error) {
+    console.error('❌ Fraud command error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// REVENUE REPORTS
+// ============================================
+
+const TOP_BUYERS_LIMIT = 5;
+
+// Accepts "today", "7d", "30d" or "YYYY-MM-DD..YYYY-MM-DD" (inclusive, UTC).
+// Returns { from, to, label } in epoch ms, or null if unparseable.
+function parseReportPeriod(arg = 'today') {
+  const now = Date.now();
+  
+  if (arg === 'today') {
+    const from = Date.parse(new Date(now).toISOString().slice(0, 10) + 'T00:00:00Z');
+    return { from, to: now, label: 'Today' };
+  }
+  
+  const relative = arg.match(/^(\d+)d$/);
+  if (relative) {
+    return { from: now - parseInt(relative[1], 10) * DAY_MS, to: now, label: `Last ${relative[1]} days` };
+  }
+  
+  const range = arg.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+  if (range) {
+    const from = Date.parse(range[1] + 'T00:00:00Z');
+    const to = Date.parse(range[2] + 'T00:00:00Z') + DAY_MS - 1;
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) return null;
+    return { from, to, label: `${range[1]} to ${range[2]}` };
+  }
+  
+  return null;
+}
+
+async function getPaymentsInPeriod({ from, to }) {
+  const payments = await store.all('payments');
+  return payments.filter(p => p.createdAt >= from && p.createdAt <= to);
+}
+
+function summarizeRevenue(payments) {
+  const summary = { gross: 0, refunded: 0, net: 0, count: payments.length, payers: 0, products: {}, buyers: {} };
+  
+  for (const payment of payments) {
+    summary.gross += payment.spentStars;
+    if (payment.refunded) summary.refunded += payment.spentStars;
+    
+    const product = summary.products[payment.productId] ||= { count: 0, stars: 0 };
+    product.count++;
+    product.stars += payment.spentStars;
+    
+    summary.buyers[payment.userId] = (summary.buyers[payment.userId] || 0) + payment.spentStars;
+  }
+  
+  summary.net = summary.gross - summary.refunded;
+  summary.payers = Object.keys(summary.buyers).length;
+  return summary;
+}
+
+async function formatRevenueReport(period, summary) {
+  const products = Object.entries(summary.products)
+    .sort(([, a], [, b]) => b.stars - a.stars)
+    .map(([productId, p]) => `• ${escapeHtml(PRODUCTS[productId]?.title || productId)}: ${p.count} sold, ${p.stars} ⭐`);
+  
+  const topBuyers = Object.entries(summary.buyers)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, TOP_BUYERS_LIMIT);
+  
+  const buyerLines = [];
+  for (const [userId, stars] of topBuyers) {
+    const user = await store.findOne('users', 'userId', Number(userId));
+    buyerLines.push(`• ${escapeHtml(user ? getDisplayName(user) : `User ${userId}`)} (<code>${userId}</code>): ${stars} ⭐`);
+  }
+  
+  return `📈 <b>Revenue - ${period.label}</b>
+
+💰 <b>Gross:</b> ${summary.gross} ⭐
+↩️ <b>Refunded:</b> ${summary.refunded} ⭐
+✅ <b>Net:</b> ${summary.net} ⭐
+🧾 <b>Payments:</b> ${summary.count}
+👥 <b>Payers:</b> ${summary.payers}
+
+<b>By product:</b>
+${products.length > 0 ? products.join('\n') : '• none'}
+
+<b>Top buyers:</b>
+${buyerLines.length > 0 ? buyerLines.join('\n') : '• none'}`;
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  
+  // Spreadsheets run text starting with these as a formula - the quote makes
+  // it a plain string. Numbers are left alone so they stay numeric.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function buildPaymentsCsv(payments) {
+  const columns = ['date', 'charge_id', 'user_id', 'username', 'product_id', 'stars', 'coins', 'promo_code', 'recipient_id', 'refunded', 'refunded_at'];
+  const rows = [columns.join(',')];
+  
+  for (const p of payments.sort((a, b) => a.createdAt - b.createdAt)) {
+    const user = await store.findOne('users', 'userId', p.userId);
+    rows.push([
+      new Date(p.createdAt).toISOString(),
+      p.chargeId,
+      p.userId,
+      user?.username,
+      p.productId,
+      p.spentStars,
+      p.coinsDelivered,
+      p.promoCode,
+      p.recipientId,
+      p.refunded,
+      p.refundedAt
+    ].map(csvField).join(','));
+  }
+  
+  return rows.join('\n') + '\n';
+}
+
+bot.onText(/^\/revenue(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'finance')) return;
+  
+  const period = parseReportPeriod(match[1]);
+  
+  if (!period) {
+    return bot.sendMessage(msg.chat.id, '❌ Usage: /revenue [today|7d|30d|YYYY-MM-DD..YYYY-MM-DD]');
+  }
+  
+  try {
+    const payments = await getPaymentsInPeriod(period);
+    const report = await formatRevenueReport(period, summarizeRevenue(payments));
+    
+    await bot.sendMessage(msg.chat.id, report, { parse_mode: 'HTML' });
+  } catch (error) {
+    console.error('❌ Revenue report error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+bot.onText(/^\/export(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'finance')) return;
+  
+  const period = parseReportPeriod(match[1]);
+  
+  if (!period) {
+    return bot.sendMessage(msg.chat.id, '❌ Usage: /export [today|7d|30d|YYYY-MM-DD..YYYY-MM-DD]');
+  }
+  
+  try {
+    const payments = await getPaymentsInPeriod(period);
+    
+    if (payments.length === 0) {
+      return bot.sendMessage(msg.chat.id, `📭 No payments - ${period.label}`);
+    }
+    
+    const csv = await buildPaymentsCsv(payments);
+    const filename = `payments_${new Date(period.from).toISOString().slice(0, 10)}_${new Date(period.to).toISOString().slice(0, 10)}.csv`;
+    
+    await bot.sendDocument(msg.chat.id, Buffer.from(csv), {
+      caption: `📄 ${payments.length} payments - ${period.label}`
+    }, {
+      filename,
+      contentType: 'text/csv'
+    });
+  } catch (error) {
+    console.error('❌ Export error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// PAYMENT FUNNEL
+// ============================================
+
+// Each invoice records invoice_created, then pre_checkout or declined, then
+// paid. Subscription renewals re-send the original payload without a
+// pre-checkout, so they aren't counted as a new conversion.
+
+// Short random ID carried in the invoice payload (or on the gift record)
+// to correlate the stages of one invoice
+function generateInvoiceId() {
+  return crypto.randomBytes(8).toString('base64url');
+}
+
+function getInvoiceId(payload, gift) {
+  return payload.invoice_id || gift?.invoiceId || null;
+}
+
+// The price quoted when the invoice was created. Subscription renewals re-send
+// the original payload, so they resolve to the same record. Invoices from
+// before prices were stored fall back to the subscription, then the catalog.
+async function getExpectedPrice(invoiceId, { userId, payment, product, promo }) {
+  const invoice = invoiceId ? await store.findOne('invoices', 'invoiceId', invoiceId) : null;
+  
+  if (invoice) {
+    return {
+      stars: invoice.stars,
+      coins: invoice.coins,
+      discountStars: invoice.discountStars,
+      bonusCoins: invoice.bonusCoins
+    };
+  }
+  
+  const subscription = payment?.subscription_expiration_date
+    ? (await store.find('subscriptions', 'userId', userId))
+      .find(sub => sub.invoicePayload === payment.invoice_payload)
+    : null;
+  
+  if (subscription) {
+    return { stars: subscription.stars, coins: subscription.coins, discountStars: 0, bonusCoins: 0 };
+  }
+  
+  return getPromoPrice(product, promo);
+}
+
+// Records a stage and pushes the new status to any open invoice streams.
+// Analytics must never get in the way of a payment, so failures are only logged.
+async function recordFunnelEvent(stage, { invoiceId, userId, productId, stars, ...details }) {
+  if (!invoiceId) return;
+  
+  try {
+    await store.insert('funnelEvents', {
+      invoiceId,
+      stage,
+      userId,
+      productId,
+      stars,
+      ...details,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error(`❌ Error recording funnel event ${stage}:`, error.message);
+  }
+  
+  const product = { product_id: productId || 'unknown' };
+  if (stage === 'invoice_created') {
+    METRICS.invoicesCreated.inc(product);
+  } else if (stage === 'pre_checkout') {
+    METRICS.preCheckouts.inc({ ...product, result: 'approved' });
+  } else if (stage === 'declined') {
+    METRICS.preCheckouts.inc({ ...product, result: 'declined' });
+  }
+  
+  await pushInvoiceStatus(invoiceId);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatDuration(ms) {
+  if (ms === null) return '-';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+// Per-product counts for invoices created in the period: how many reached
+// pre-checkout, how many were paid, and the median time from invoice to payment
+async function buildFunnelReport({ from, to }) {
+  const created = (await store.find('funnelEvents', 'stage', 'invoice_created'))
+    .filter(e => e.timestamp >= from && e.timestamp <= to);
+  
+  const products = {};
+  const total = { created: 0, checkout: 0, declined: 0, paid: 0, timesToPay: [] };
+  
+  for (const invoice of created) {
+    const events = await store.find('funnelEvents', 'invoiceId', invoice.invoiceId);
+    const stages = new Set(events.map(e => e.stage));
+    const paid = events.find(e => e.stage === 'paid');
     
-  } catch (error) {
-    console.error('❌ Error creating invoice link:', error);
-    await sendErrorLog(error, 'Create Invoice Link Endpoint');
+    const row = products[invoice.productId] ||= { created: 0, checkout: 0, declined: 0, paid: 0, timesToPay: [] };
     
-    res.status(500).json({ 
-      error: 'Failed to create invoice',
-      message: error.message
-    });
+    for (const bucket of [row, total]) {
+      bucket.created++;
+      if (stages.has('pre_checkout')) bucket.checkout++;
+      if (stages.has('declined') && !paid) bucket.declined++;
+      if (paid) {
+        bucket.paid++;
+        bucket.timesToPay.push(paid.timestamp - invoice.timestamp);
+      }
+    }
   }
-});
+  
+  return { products, total };
+}
 
-// ============================================
-// REFUND SYSTEM
-// ============================================
+function formatFunnelRow(row) {
+  const rate = row.created > 0 ? ((row.paid / row.created) * 100).toFixed(1) : '0.0';
+  return `${row.created} → ${row.checkout} → ${row.paid} (${rate}%)` +
+    `${row.declined > 0 ? `, ${row.declined} declined` : ''}, median ${formatDuration(median(row.timesToPay))}`;
+}
 
-bot.onText(/\/refund (.+)/, async (msg, match) => {
-  const adminId = msg.from.id;
+bot.onText(/^\/funnel(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'finance')) return;
   
-  if (!ADMIN_IDS.includes(adminId)) {
-    return bot.sendMessage(msg.chat.id, '❌ Unauthorized. Admin only.');
-  }
+  const period = parseReportPeriod(match[1] || '7d');
   
-  const chargeId = match[1].trim();
+  if (!period) {
+    return bot.sendMessage(msg.chat.id, '❌ Usage: /funnel [today|7d|30d|YYYY-MM-DD..YYYY-MM-DD]');
+  }
   
   try {
-    const data = await fs.readFile('payments.json', 'utf8');
-    const payments = JSON.parse(data);
-    
-    const payment = payments.find(p => p.chargeId === chargeId);
-    
-    if (!payment) {
-      return bot.sendMessage(msg.chat.id, `❌ Payment not found: ${chargeId}`);
-    }
+    const { products, total } = await buildFunnelReport(period);
     
-    if (payment.refunded) {
-      return bot.sendMessage(msg.chat.id, `⚠️ Already refunded: ${chargeId}`);
+    if (total.created === 0) {
+      return bot.sendMessage(msg.chat.id, `📭 No invoices - ${period.label}`);
     }
     
-    const refunded = await bot.refundStarPayment(payment.userId, chargeId);
-    
-    if (refunded) {
-      payment.refunded = true;
-      payment.refundedAt = new Date().toISOString();
-      await fs.writeFile('payments.json', JSON.stringify(payments, null, 2));
-      
-      await sendTransactionLog(`
-💸 <b>REFUND PROCESSED</b>
-
-👤 <b>User ID:</b> <code>${payment.userId}</code>
-💳 <b>Charge ID:</b> <code>${chargeId}</code>
-⭐ <b>Stars Refunded:</b> ${payment.spentStars}
-🪙 <b>Coins Delivered (lost):</b> ${payment.coinsDelivered}
-📅 <b>Refund Date:</b> ${new Date().toISOString()}
-👨‍💼 <b>Processed by:</b> ${msg.from.username || msg.from.id}
-`);
-      
-      await bot.sendMessage(msg.chat.id, `✅ Refund successful!\n\nUser: ${payment.userId}\nStars: ${payment.spentStars}`);
-      
-      await bot.sendMessage(payment.userId, 
-        `💸 Your payment has been refunded!\n\n` +
-        `Stars refunded: ${payment.spentStars}\n` +
-        `Reason: Manual refund by admin`
-      );
-      
-    } else {
-      await bot.sendMessage(msg.chat.id, `❌ Refund failed. Check logs.`);
-    }
+    const lines = Object.entries(products)
+      .sort(([, a], [, b]) => b.created - a.created)
+      .map(([productId, row]) => `• <b>${escapeHtml(PRODUCTS[productId]?.title || productId)}</b>\n   ${formatFunnelRow(row)}`);
     
+    await bot.sendMessage(msg.chat.id,
+      `🔻 <b>Payment Funnel - ${period.label}</b>\n` +
+      `<i>invoices → pre-checkout → paid (conversion)</i>\n\n` +
+      `${lines.join('\n')}\n\n` +
+      `<b>Total:</b> ${formatFunnelRow(total)}`,
+      { parse_mode: 'HTML' }
+    );
   } catch (error) {
-    console.error('❌ Refund error:', error);
+    console.error('❌ Funnel report error:', error);
     await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
   }
 });
@@ -785,33 +3982,95 @@ async function handlePreCheckoutQuery(query) {
     
     const product = PRODUCTS[productId];
     
+    // Gift invoices keep their promo code and invoice ID on the gift record
+    const gift = payload.gift_id ? await store.get('gifts', payload.gift_id) : null;
+    const funnel = { invoiceId: getInvoiceId(payload, gift), userId: query.from.id, productId, stars: query.total_amount };
+    
     if (!product) {
       await bot.answerPreCheckoutQuery(query.id, false, {
         error_message: 'Invalid product. Please contact support.'
       });
+      await recordFunnelEvent('declined', { ...funnel, reason: 'invalid_product' });
       console.log('❌ Invalid product ID in pre-checkout');
       return;
     }
     
+    if (!product.enabled) {
+      await bot.answerPreCheckoutQuery(query.id, false, {
+        error_message: 'This package is no longer available.'
+      });
+      await recordFunnelEvent('declined', { ...funnel, reason: 'product_disabled' });
+      console.log(`❌ Disabled product in pre-checkout: ${productId}`);
+      return;
+    }
+    
+    const promoCode = payload.promo_code || gift?.promoCode;
+    
+    // Re-check the promo - it may have expired or run out since the invoice
+    // was made - and hold a use of it until the payment arrives
+    let promo = null;
+    
+    if (promoCode) {
+      const result = await validatePromo(promoCode, query.from.id, productId, { holdFor: funnel.invoiceId });
+      
+      if (result.error) {
+        await bot.answerPreCheckoutQuery(query.id, false, {
+          error_message: `${result.error}. Please create a new order.`
+        });
+        await recordFunnelEvent('declined', { ...funnel, reason: 'promo_rejected' });
+        console.log(`❌ Promo code rejected in pre-checkout: ${promoCode} (${result.error})`);
+        return;
+      }
+      
+      promo = result.promo;
+    }
+    
+    const price = await getExpectedPrice(funnel.invoiceId, { product, promo });
+    
     // Verify amount matches
-    if (query.total_amount !== product.stars) {
+    if (query.total_amount !== price.stars) {
       await bot.answerPreCheckoutQuery(query.id, false, {
         error_message: 'Price mismatch. Please contact support.'
       });
+      await recordFunnelEvent('declined', { ...funnel, reason: 'price_mismatch' });
       
       console.log(`⚠️ FRAUD ALERT: Price mismatch!`);
-      console.log(`Expected: ${product.stars}, Got: ${query.total_amount}`);
+      console.log(`Expected: ${price.stars}, Got: ${query.total_amount}`);
       
       await sendTransactionLog(
         `⚠️ <b>FRAUD ALERT:</b> Price mismatch\n` +
         `User: ${query.from.id} (@${query.from.username || 'no_username'})\n` +
         `Product: ${productId}\n` +
-        `Expected: ${product.stars} stars\n` +
+        `${promo ? `Promo: ${promo.code}\n` : ''}` +
+        `Expected: ${price.stars} stars\n` +
         `Received: ${query.total_amount} stars`
       );
       return;
     }
     
+    // Velocity limits and refund history
+    const violation = await evaluateFraudRules(query.from.id, query.total_amount);
+    
+    if (violation) {
+      await bot.answerPreCheckoutQuery(query.id, false, {
+        error_message: "You've reached the purchase limit for now. Please try again later or contact support."
+      });
+      await recordFunnelEvent('declined', { ...funnel, reason: violation.rule });
+      
+      console.log(`⚠️ FRAUD ALERT: ${violation.rule} (limit ${violation.limit}, got ${violation.actual})`);
+      
+      await sendTransactionLog(
+        `⚠️ <b>FRAUD ALERT:</b> Checkout declined\n` +
+        `User: ${query.from.id} (@${query.from.username || 'no_username'})\n` +
+        `Product: ${productId}\n` +
+        `Amount: ${query.total_amount} stars\n` +
+        `Rule: ${violation.rule}\n` +
+        `Limit: ${violation.limit}, Actual: ${violation.actual}\n` +
+        `Whitelist: <code>/fraud whitelist ${query.from.id}</code>`
+      );
+      return;
+    }
+    
     // Store pending payment info
     STATE.pendingPayments.set(query.id, {
       userId: userId,
@@ -824,12 +4083,13 @@ async function handlePreCheckoutQuery(query) {
       query.from.id,
       query.from.username,
       null,
-      product,
+      { ...product, stars: price.stars, coins: price.coins },
       'pre_checkout'
     );
     
     // Approve payment
     await bot.answerPreCheckoutQuery(query.id, true);
+    await recordFunnelEvent('pre_checkout', funnel);
     console.log(`✅ Pre-checkout approved for user ${query.from.id}`);
     
   } catch (error) {
@@ -843,92 +4103,744 @@ async function handlePreCheckoutQuery(query) {
   }
 }
 
-// Handle successful payment
-async function handleSuccessfulPayment(msg) {
-  const payment = msg.successful_payment;
-  const userId = msg.from.id;
-  const userInfo = msg.from;
+// Handle successful payment
+async function handleSuccessfulPayment(msg) {
+  const payment = msg.successful_payment;
+  const userId = msg.from.id;
+  const userInfo = msg.from;
+  
+  console.log(`🎉 PAYMENT SUCCESSFUL!`);
+  console.log(`👤 User: ${userId} (@${userInfo.username || 'no_username'})`);
+  console.log(`💰 Amount: ${payment.total_amount} stars`);
+  console.log(`💳 Charge ID: ${payment.telegram_payment_charge_id}`);
+  
+  // Telegram can resend the same update (e.g. after a polling restart) -
+  // acknowledge it without delivering coins a second time
+  const claim = await claimCharge(payment.telegram_payment_charge_id);
+  if (claim !== 'claimed') {
+    await logDuplicatePayment(userId, payment, claim);
+    if (claim === 'processed') {
+      await markUpdateHandled(payment.telegram_payment_charge_id);
+    }
+    return;
+  }
+  
+  let invoiceId = null;
+  
+  try {
+    // Parse payload to get product info
+    const payload = JSON.parse(payment.invoice_payload);
+    const productId = payload.product_id;
+    const product = PRODUCTS[productId];
+    
+    if (!product) {
+      throw new Error(`Invalid product ID: ${productId}`);
+    }
+    
+    // Gifts credit the recipient; the payer (userId) is still who gets refunded
+    const gift = payload.gift_id ? await store.get('gifts', payload.gift_id) : null;
+    const recipientId = gift ? gift.recipientId : userId;
+    invoiceId = getInvoiceId(payload, gift);
+    
+    // Promo validity was checked at pre-checkout - the price was fixed when
+    // the invoice was created, the promo is only needed to record the redemption
+    const promoCode = payload.promo_code || gift?.promoCode;
+    const promo = promoCode
+      ? await store.findOne('promoCodes', 'code', promoCode)
+      : null;
+    const price = await getExpectedPrice(invoiceId, { userId, payment, product, promo });
+    
+    // Verify amount
+    if (payment.total_amount !== price.stars) {
+      throw new Error(
+        `Amount mismatch: Expected ${price.stars}, got ${payment.total_amount}`
+      );
+    }
+    
+    console.log(`📦 Product: ${product.title}`);
+    console.log(`🪙 Coins to deliver: ${price.coins}`);
+    if (gift) {
+      console.log(`🎁 Gift #${gift.id} for user ${recipientId}`);
+    }
+    
+    // Subscription payments (first and renewals) carry an expiration date
+    const subscriptionPayment = payment.subscription_expiration_date
+      ? await recordSubscriptionPayment(userId, productId, payment, price)
+      : null;
+    
+    if (subscriptionPayment) {
+      console.log(`🔁 Subscription #${subscriptionPayment.subscription.id} ${subscriptionPayment.renewal ? 'renewal' : 'started'}`);
+    }
+    
+    // Save to database
+    await savePaymentRecord(
+      userId,
+      payment.telegram_payment_charge_id,
+      productId,
+      price.stars,
+      price.coins,
+      Date.now(),
+      {
+        ...(promo ? { promoCode: promo.code } : {}),
+        ...(gift ? { giftId: gift.id, recipientId } : {}),
+        ...(invoiceId ? { invoiceId } : {}),
+        ...(subscriptionPayment ? {
+          subscriptionId: subscriptionPayment.subscription.id,
+          recurring: subscriptionPayment.renewal ? 'renewal' : 'first'
+        } : {})
+      }
+    );
+    
+    METRICS.paymentsSucceeded.inc({ product_id: productId });
+    METRICS.starsReceived.inc({ product_id: productId }, price.stars);
+    
+    await emitWebhookEvent('payment.succeeded', {
+      chargeId: payment.telegram_payment_charge_id,
+      invoiceId,
+      userId,
+      recipientId,
+      productId,
+      stars: price.stars,
+      coins: price.coins,
+      promoCode: promo ? promo.code : null,
+      giftId: gift ? gift.id : null,
+      subscriptionId: subscriptionPayment ? subscriptionPayment.subscription.id : null,
+      renewal: Boolean(subscriptionPayment?.renewal)
+    });
+    
+    if (!subscriptionPayment?.renewal) {
+      await recordFunnelEvent('paid', {
+        invoiceId,
+        userId,
+        productId,
+        stars: price.stars,
+        chargeId: payment.telegram_payment_charge_id
+      });
+    }
+    
+    if (promo) {
+      await redeemPromo(promo, {
+        userId,
+        chargeId: payment.telegram_payment_charge_id,
+        productId,
+        invoiceId,
+        price
+      });
+    }
+    
+    if (gift) {
+      await store.update('gifts', gift.id, { status: 'paid', chargeId: payment.telegram_payment_charge_id });
+    }
+    
+    const giftDetails = gift
+      ? { buyerId: userId, buyerName: getDisplayName({ userId, username: userInfo.username, firstName: userInfo.first_name }), message: gift.message }
+      : null;
+    
+    // Credit coins to the ledger and notify the user. The payment is already
+    // recorded, so a failure here is handed to the redelivery queue.
+    try {
+      const delivery = await deliverCoins(recipientId, price.coins, {
+        chargeId: payment.telegram_payment_charge_id,
+        productId,
+        ...(giftDetails ? { gift: giftDetails } : {})
+      });
+      
+      if (!delivery.notified) {
+        await enqueueDelivery({
+          userId: recipientId,
+          chargeId: payment.telegram_payment_charge_id,
+          productId,
+          coins: price.coins,
+          gift: giftDetails,
+          credited: true
+        }, delivery.error);
+      }
+    } catch (deliveryError) {
+      console.error('❌ Error delivering coins:', deliveryError);
+      await enqueueDelivery({
+        userId: recipientId,
+        chargeId: payment.telegram_payment_charge_id,
+        productId,
+        coins: price.coins,
+        gift: giftDetails
+      }, deliveryError);
+      await pushInvoiceStatus(invoiceId);
+      return;
+    }
+    
+    await pushInvoiceStatus(invoiceId);
+    
+    if (gift) {
+      const recipient = await store.findOne('users', 'userId', recipientId);
+      
+      await bot.sendMessage(userId,
+        `🎁 <b>Gift Sent!</b>\n\n` +
+        `${price.coins} 🪙 Void Coins were delivered to ${escapeHtml(getDisplayName(recipient))}.`,
+        { parse_mode: 'HTML' }
+      ).catch(error => console.error('❌ Error notifying gift buyer:', error.message));
+    }
+    
+    // Log successful transaction
+    if (gift) {
+      await logTransactionToChannel(
+        userId,
+        userInfo.username,
+        payment,
+        { ...product, stars: price.stars, coins: price.coins },
+        'gift',
+        { recipientId, giftId: gift.id, message: gift.message }
+      );
+    } else if (subscriptionPayment) {
+      await logTransactionToChannel(
+        userId,
+        userInfo.username,
+        payment,
+        { ...product, stars: price.stars, coins: price.coins },
+        subscriptionPayment.renewal ? 'subscription_renewed' : 'subscription_started',
+        {
+          subscriptionId: subscriptionPayment.subscription.id,
+          renewals: subscriptionPayment.subscription.renewals,
+          expiresAt: subscriptionPayment.subscription.expiresAt
+        }
+      );
+    } else {
+      await logTransactionToChannel(
+        userId,
+        userInfo.username,
+        payment,
+        { ...product, stars: price.stars, coins: price.coins },
+        'success'
+      );
+    }
+    
+    console.log(`✅ Payment processed successfully!`);
+    console.log(`💰 ${price.coins} coins credited to user ${recipientId}`);
+    
+  } catch (error) {
+    console.error('❌ CRITICAL ERROR processing payment:', error);
+    await sendErrorLog(error, `Successful Payment - Charge: ${payment.telegram_payment_charge_id}`);
+    
+    // Notify user of error
+    await bot.sendMessage(msg.chat.id,
+      `⚠️ <b>Payment Received - Processing Issue</b>\n\n` +
+      `Your payment was successful, but there was an error delivering your coins. ` +
+      `Don't worry - our team will resolve this shortly!\n\n` +
+      `<b>Payment Details:</b>\n` +
+      `Charge ID: <code>${payment.telegram_payment_charge_id}</code>\n` +
+      `Amount: ${payment.total_amount} ⭐\n\n` +
+      `Please contact support with the Charge ID above if your coins don't arrive within 24 hours.`,
+      { 
+        parse_mode: 'HTML'
+      }
+    );
+    
+    // Log failed delivery for manual intervention
+    await logFailedDelivery(
+      userId,
+      payment.telegram_payment_charge_id,
+      error,
+      1,
+      invoiceId
+    );
+  } finally {
+    releaseCharge(payment.telegram_payment_charge_id);
+    await markUpdateHandled(payment.telegram_payment_charge_id);
+  }
+}
+
+// Handle refunds reported by Telegram (including ones we issued via /refund)
+async function handleRefundedPayment(msg) {
+  const refund = msg.refunded_payment;
+  const chargeId = refund.telegram_payment_charge_id;
+  
+  console.log(`💸 REFUND RECEIVED for charge ${chargeId}`);
+  console.log(`💰 Amount: ${refund.total_amount} stars`);
+  
+  try {
+    const recorded = await recordRefund(chargeId, {
+      source: 'telegram',
+      userId: msg.from?.id || msg.chat.id,
+      stars: refund.total_amount
+    });
+    
+    // A refunded charge must never be delivered later by the retry queue
+    const queued = await store.findOne('deliveries', 'chargeId', chargeId);
+    if (queued && queued.status !== 'delivered') {
+      await store.update('deliveries', queued.id, { status: 'cancelled', updatedAt: Date.now() });
+    }
+    
+    const reversal = await reverseCoins(chargeId);
+    const userId = reversal?.userId || msg.from?.id || msg.chat.id;
+    
+    if (!recorded && reversal?.alreadyReversed) {
+      console.log(`🔁 Duplicate refund update ignored: ${chargeId}`);
+      return;
+    }
+    
+    if (reversal?.negative) {
+      await store.transaction(async tx => {
+        const refundRecord = await store.findOne('refunds', 'chargeId', chargeId);
+        tx.update('refunds', refundRecord.id, { negativeBalance: true, balanceAfter: reversal.balance });
+      });
+    }
+    
+    await sendTransactionLog(`
+💸 <b>REFUND RECEIVED</b>
+
+👤 <b>User ID:</b> <code>${userId}</code>
+💳 <b>Charge ID:</b> <code>${chargeId}</code>
+⭐ <b>Stars Refunded:</b> ${refund.total_amount}
+🪙 <b>Coins Reversed:</b> ${reversal ? reversal.amount : 0}
+💰 <b>Balance After:</b> ${reversal ? reversal.balance : 'n/a'}${reversal?.negative ? ' ⚠️ NEGATIVE - account flagged' : ''}
+📅 <b>Refund Date:</b> ${new Date().toISOString()}
+🏦 <b>Source:</b> Telegram${recorded ? '' : ' (already recorded)'}
+`);
+    
+    await pushChargeStatus(chargeId);
+    await emitWebhookEvent('payment.refunded', {
+      chargeId,
+      userId,
+      stars: refund.total_amount,
+      coinsReversed: reversal ? reversal.amount : 0,
+      balance: reversal ? reversal.balance : null
+    });
+    
+    console.log(`✅ Refund processed for charge ${chargeId}`);
+    
+  } catch (error) {
+    console.error('❌ Error processing refund:', error);
+    await sendErrorLog(error, `Refunded Payment - Charge: ${chargeId}`);
+  }
+}
+
+// ============================================
+// ALERT RULES
+// ============================================
+
+const alertEngine = new AlertEngine();
+
+async function loadAlerts() {
+  try {
+    const rules = await loadAlertRules(ALERT_RULES_FILE);
+    alertEngine.setRules(rules);
+    fleet.setRules(rules);
+    console.log(`🚨 Alert rules loaded: ${alertEngine.rules.length} from ${ALERT_RULES_FILE}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.warn(`⚠️ ${ALERT_RULES_FILE} not found - threshold alerts disabled`);
+  }
+}
+
+// The metric names rules can refer to (see METRICS in alerts.js)
+async function collectMetrics(pingData) {
+  let diskFreePercent = null;
+  try {
+    diskFreePercent = await readDiskFreePercent(DISK_PATH);
+  } catch (error) {
+    console.error(`❌ Error reading disk usage for ${DISK_PATH}:`, error.message);
+  }
+  
+  return buildMetrics({
+    memory: { total: os.totalmem(), free: os.freemem() },
+    load: os.loadavg(),
+    cpuCores: os.cpus().length,
+    diskFreePercent,
+    probes: pingData.results
+  });
+}
+
+function formatMetricValue(metric, value) {
+  if (metric.endsWith('Percent') || metric.endsWith('.percent')) return `${value.toFixed(1)}%`;
+  if (metric === 'ping.average') return `${Math.round(value)}ms`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Fleet alerts address the rule as "<rule>@<server record id>" - the numeric
+// store ID keeps callback data within Telegram's 64 bytes
+function alertButtons(ruleId, serverKey = null) {
+  const target = serverKey ? `${ruleId}@${serverKey}` : ruleId;
+  return {
+    inline_keyboard: [[
+      { text: '✅ Acknowledge', callback_data: `alert_ack:${target}` },
+      ...ALERT_MUTE_OPTIONS.map(minutes => ({
+        text: `🔇 ${minutes < 60 ? `${minutes}m` : `${minutes / 60}h`}`,
+        callback_data: `alert_mute:${target}:${minutes}`
+      }))
+    ]]
+  };
+}
+
+// serverId is set for alerts about fleet servers, null for this host
+async function sendAlert(event, serverId = null) {
+  const { rule, value } = event;
+  const icon = rule.severity === 'critical' ? '🔴' : '🟠';
+  const title = {
+    firing: `${icon} <b>ALERT: ${escapeHtml(rule.description)}</b>`,
+    repeat: `${icon} <b>STILL FIRING: ${escapeHtml(rule.description)}</b>`,
+    resolved: `✅ <b>RESOLVED: ${escapeHtml(rule.description)}</b>`
+  }[event.type];
+  
+  const message = `
+${title}
+━━━━━━━━━━━━━━━━━━━━
+
+${serverId ? `<b>Server:</b> <code>${escapeHtml(serverId)}</code>\n` : ''}<b>Rule:</b> <code>${rule.id}</code> (${rule.severity})
+<b>Condition:</b> ${rule.metric} ${escapeHtml(rule.op)} ${rule.threshold}${rule.for > 1 ? ` for ${rule.for} checks` : ''}
+<b>Current:</b> ${formatMetricValue(rule.metric, value)}${event.firedAt ? `\n<b>Firing For:</b> ${formatDuration(Date.now() - event.firedAt)}` : ''}
+
+🕐 <b>Time:</b> ${new Date().toLocaleString()}
+  `.trim();
+  
+  if (event.type === 'resolved') {
+    await sendSystemLog(message);
+    return;
+  }
+  
+  const record = serverId ? await store.findOne('servers', 'serverId', serverId) : null;
+  await sendSystemLog(message, { reply_markup: alertButtons(rule.id, record?.id) });
+}
+
+// Acknowledge and mute buttons on alert messages (ops only)
+async function handleAlertCallback(query, action, target, minutes) {
+  if (!await hasRole(query.from.id, 'ops')) {
+    await logUnauthorized(query.from, query.data, ['ops']);
+    return bot.answerCallbackQuery(query.id, { text: 'Unauthorized. Admin only.' });
+  }
+  
+  const [ruleId, serverKey] = (target || '').split('@');
+  const record = serverKey ? await store.get('servers', Number(serverKey)) : null;
+  const engine = serverKey ? record && fleet.get(record.serverId)?.alerts : alertEngine;
+  if (!engine) {
+    return bot.answerCallbackQuery(query.id, { text: 'Unknown server' });
+  }
+  
+  const by = query.from.username ? `@${query.from.username}` : String(query.from.id);
+  let note;
+  
+  if (action === 'alert_ack') {
+    if (!engine.acknowledge(ruleId, by)) {
+      return bot.answerCallbackQuery(query.id, { text: 'Unknown rule' });
+    }
+    note = `✅ Acknowledged by ${by}`;
+  } else {
+    const duration = parseInt(minutes, 10);
+    if (!ALERT_MUTE_OPTIONS.includes(duration) || !engine.mute(ruleId, duration)) {
+      return bot.answerCallbackQuery(query.id, { text: 'Unknown rule' });
+    }
+    note = `🔇 Muted for ${duration} min by ${by}`;
+  }
+  
+  console.log(`🚨 ${target}: ${note}`);
+  
+  await bot.answerCallbackQuery(query.id, { text: note });
+  await bot.editMessageText(`${query.message.text}\n\n${note}`, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+    entities: query.message.entities
+  });
+}
+
+bot.onText(/^\/alerts(?:@\w+)?(?:\s+(\w+))?(?:\s+(\w+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'ops')) return;
   
-  console.log(`🎉 PAYMENT SUCCESSFUL!`);
-  console.log(`👤 User: ${userId} (@${userInfo.username || 'no_username'})`);
-  console.log(`💰 Amount: ${payment.total_amount} stars`);
-  console.log(`💳 Charge ID: ${payment.telegram_payment_charge_id}`);
+  const [, action, ruleId] = match;
   
   try {
-    // Parse payload to get product info
-    const payload = JSON.parse(payment.invoice_payload);
-    const productId = payload.product_id;
-    const product = PRODUCTS[productId];
-    
-    if (!product) {
-      throw new Error(`Invalid product ID: ${productId}`);
+    if (action === 'reload') {
+      await loadAlerts();
+      return bot.sendMessage(msg.chat.id, `✅ ${alertEngine.rules.length} alert rules loaded from ${ALERT_RULES_FILE}`);
     }
     
-    // Verify amount
-    if (payment.total_amount !== product.stars) {
-      throw new Error(
-        `Amount mismatch: Expected ${product.stars}, got ${payment.total_amount}`
-      );
+    if (action === 'unmute') {
+      if (!alertEngine.mute(ruleId, 0)) {
+        return bot.sendMessage(msg.chat.id, '❌ Usage: /alerts unmute <rule_id>');
+      }
+      return bot.sendMessage(msg.chat.id, `🔔 ${ruleId} unmuted`);
     }
     
-    console.log(`📦 Product: ${product.title}`);
-    console.log(`🪙 Coins to deliver: ${product.coins}`);
+    if (action) {
+      return bot.sendMessage(msg.chat.id, '❌ Usage: /alerts [reload|unmute <rule_id>]');
+    }
     
-    // Save to database
-    await savePaymentRecord(
-      userId,
-      payment.telegram_payment_charge_id,
-      productId,
-      product.stars,
-      product.coins,
-      Date.now()
+    const icons = { ok: '🟢', pending: '🟡', firing: '🔴' };
+    const lines = alertEngine.status().map(s =>
+      `${icons[s.status]} <code>${s.rule.id}</code> - ${escapeHtml(s.rule.description)}\n` +
+      `   ${s.value === null ? 'no data' : formatMetricValue(s.rule.metric, s.value)}` +
+      `${s.status === 'pending' ? ` (${s.breaches}/${s.rule.for})` : ''}` +
+      `${s.acknowledgedBy ? `, acked by ${escapeHtml(s.acknowledgedBy)}` : ''}` +
+      `${s.muted ? `, muted until ${new Date(s.mutedUntil).toLocaleTimeString()}` : ''}`
     );
     
-    // Deliver coins via Cloud Storage notification
-    const delivered = await addCoinsViaCloudStorage(userId, product.coins);
+    await bot.sendMessage(msg.chat.id,
+      `🚨 <b>Alert Rules</b>\n\n${lines.length > 0 ? lines.join('\n') : 'No rules loaded'}`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    console.error('❌ Alerts command error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// ============================================
+// FLEET MONITORING
+// ============================================
+
+// Servers running agent.js, each with its own alert engine (see fleet.js)
+const fleet = new FleetRegistry({ missedHeartbeats: FLEET_MISSED_HEARTBEATS });
+
+// Servers seen before a restart are watched again straight away, so one
+// that died while the bot was down still gets reported
+async function loadFleet() {
+  const servers = (await store.all('servers')).filter(server => !server.removedAt);
+  
+  for (const server of servers) {
+    fleet.restore(server);
+  }
+  
+  if (FLEET_SECRET) {
+    console.log(`🛰 Fleet monitoring: ${servers.length} known servers, heartbeats on POST ${FLEET_HEARTBEAT_PATH}`);
+  }
+}
+
+// Written on registration and status changes, not on every heartbeat
+async function saveServer(server) {
+  await store.transaction(async tx => {
+    const record = await store.findOne('servers', 'serverId', server.id);
+    const fields = {
+      hostname: server.hostname,
+      interval: server.interval,
+      status: server.status,
+      lastSeenAt: server.lastSeenAt,
+      lastSentAt: server.lastSentAt,
+      removedAt: null
+    };
     
-    if (!delivered) {
-      throw new Error('Failed to send coin notification');
+    if (record) {
+      tx.update('servers', record.id, fields);
+    } else {
+      tx.insert('servers', { serverId: server.id, ...fields, registeredAt: Date.now() });
+    }
+  });
+}
+
+// Returns a problem description, or null for a usable heartbeat
+function validateHeartbeat(heartbeat) {
+  if (!heartbeat || typeof heartbeat !== 'object') return 'Body must be a JSON object';
+  if (!SERVER_ID_PATTERN.test(heartbeat.serverId || '')) return `serverId must match ${SERVER_ID_PATTERN}`;
+  if (!Number.isFinite(heartbeat.sentAt)) return 'sentAt must be a timestamp in ms';
+  if (!Number.isInteger(heartbeat.interval) || heartbeat.interval < 5000 || heartbeat.interval > 3600000) {
+    return 'interval must be between 5000 and 3600000 ms';
+  }
+  if (heartbeat.shutdown) return null;
+  
+  const metrics = heartbeat.snapshot?.metrics;
+  if (!metrics || typeof metrics !== 'object') return 'snapshot.metrics is required';
+  if (Object.values(metrics).some(value => value !== null && !Number.isFinite(value))) {
+    return 'snapshot.metrics values must be numbers or null';
+  }
+  return null;
+}
+
+// Notices and threshold alerts for one accepted heartbeat
+async function handleHeartbeat({ server, transition, downFor }, heartbeat) {
+  // Every heartbeat, not just transitions: the stored lastSentAt is what
+  // rejects replays of this one after a restart
+  await saveServer(server);
+  
+  const name = `<code>${escapeHtml(server.id)}</code>`;
+  const snapshot = server.snapshot;
+  
+  if (transition === 'registered') {
+    console.log(`🛰 New fleet server: ${server.id}`);
+    await sendSystemLog(`
+🆕 <b>SERVER REGISTERED</b>
+
+🖥 <b>Server:</b> ${name}
+🏷 <b>Hostname:</b> ${escapeHtml(snapshot?.hostname || 'unknown')}
+💻 <b>Platform:</b> ${escapeHtml(snapshot ? `${snapshot.platform} ${snapshot.architecture}, ${snapshot.cpuCores} cores` : 'unknown')}
+⏱ <b>Heartbeat:</b> every ${formatDuration(server.interval)}
+📅 <b>Time:</b> ${new Date().toISOString()}
+`);
+  } else if (transition === 'recovered') {
+    console.log(`🛰 Fleet server back: ${server.id}`);
+    await sendSystemLog(`
+🟢 <b>SERVER BACK ONLINE</b>
+
+🖥 <b>Server:</b> ${name}
+⏱ <b>Silent For:</b> ${formatDuration(downFor)}
+📅 <b>Time:</b> ${new Date().toISOString()}
+`);
+  } else if (transition === 'stopped') {
+    console.log(`🛰 Fleet agent stopped: ${server.id}`);
+    await sendSystemLog(`
+⏹ <b>AGENT STOPPED</b>
+
+🖥 <b>Server:</b> ${name}
+ℹ️ The agent shut down cleanly - no further heartbeats expected
+📅 <b>Time:</b> ${new Date().toISOString()}
+`);
+  }
+  
+  if (!heartbeat.shutdown) {
+    for (const event of server.alerts.evaluate(heartbeat.snapshot.metrics)) {
+      await sendAlert(event, server.id);
+    }
+  }
+}
+
+async function checkFleet() {
+  try {
+    for (const server of fleet.checkMissed()) {
+      console.log(`🛰 Fleet server missed heartbeats: ${server.id}`);
+      await saveServer(server);
+      await sendSystemLog(`
+🔴 <b>SERVER NOT REPORTING</b>
+
+🖥 <b>Server:</b> <code>${escapeHtml(server.id)}</code>
+⏱ <b>Last Heartbeat:</b> ${formatDuration(Date.now() - server.lastSeenAt)} ago
+📡 <b>Expected Every:</b> ${formatDuration(server.interval)}
+📅 <b>Time:</b> ${new Date().toISOString()}
+`);
+    }
+  } catch (error) {
+    console.error('❌ Fleet check error:', error);
+  }
+}
+
+function startFleetMonitoring() {
+  if (!FLEET_SECRET || STATE.fleetInterval) return;
+  STATE.fleetInterval = setInterval(checkFleet, FLEET_CHECK_INTERVAL);
+}
+
+// One fixed-width line of the /servers table
+function formatServerRow(name, status, seen, metrics, firing) {
+  const percent = value => (value === null || value === undefined ? '-' : `${Math.round(value)}%`);
+  const load = Number.isFinite(metrics?.['load.perCore']) ? metrics['load.perCore'].toFixed(2) : '-';
+  const ping = Number.isFinite(metrics?.['ping.average']) ? `${metrics['ping.average']}ms` : '-';
+  
+  return [
+    name.slice(0, 12).padEnd(12),
+    status.padEnd(4),
+    seen.padStart(6),
+    percent(metrics?.['memory.percent']).padStart(4),
+    load.padStart(4),
+    percent(metrics?.['disk.freePercent']).padStart(4),
+    ping.padStart(6),
+    String(firing).padStart(2)
+  ].join(' ');
+}
+
+function formatServerTable() {
+  const seenAgo = ts => (ts ? formatDuration(Date.now() - ts).split(' ')[0] : '-');
+  const statusLabels = { up: 'up', missed: 'DOWN', stopped: 'stop' };
+  const firingCount = engine => engine.status().filter(s => s.status === 'firing').length;
+  
+  const rows = [
+    ['SERVER'.padEnd(12), 'STAT', '  SEEN', ' MEM', 'LOAD', 'DISK', '  PING', 'AL'].join(' '),
+    formatServerRow(`${os.hostname()}*`, 'up', seenAgo(STATE.lastMonitoringRun), STATE.lastMetrics, firingCount(alertEngine)),
+    ...fleet.list().map(server => formatServerRow(
+      server.id,
+      statusLabels[server.status],
+      seenAgo(server.lastSeenAt),
+      server.snapshot?.metrics,
+      firingCount(server.alerts)
+    ))
+  ];
+  
+  return rows.join('\n');
+}
+
+function formatServerDetails(server) {
+  const snapshot = server.snapshot;
+  const icons = { up: '🟢', missed: '🔴', stopped: '⏹' };
+  const firing = server.alerts.status().filter(s => s.status === 'firing');
+  
+  let message = `🖥 <b>Server: ${escapeHtml(server.id)}</b>\n\n`;
+  message += `${icons[server.status]} <b>Status:</b> ${server.status}\n`;
+  message += `📡 <b>Last Heartbeat:</b> ${server.lastSeenAt ? `${formatDuration(Date.now() - server.lastSeenAt)} ago` : 'never'} (every ${formatDuration(server.interval)})\n`;
+  
+  if (!snapshot) {
+    return message + '\nNo heartbeat received since the bot started.';
+  }
+  
+  // Agents are trusted (signed) but may run an older build, so tolerate gaps
+  const { metrics } = snapshot;
+  const show = metric => (Number.isFinite(metrics[metric]) ? formatMetricValue(metric, metrics[metric]) : 'n/a');
+  
+  message += `🏷 <b>Hostname:</b> ${escapeHtml(snapshot.hostname)}\n`;
+  message += `💻 <b>Platform:</b> ${escapeHtml(`${snapshot.platform} ${snapshot.architecture}`)}\n`;
+  message += `⚙️ <b>CPU:</b> ${escapeHtml(snapshot.cpuModel)} (${snapshot.cpuCores} cores)\n`;
+  message += `⏱ <b>Uptime:</b> ${formatDuration(snapshot.uptimeSeconds * 1000)}\n`;
+  message += `💾 <b>Memory:</b> ${show('memory.percent')} of ${((snapshot.memory?.total || 0) / 1024 / 1024 / 1024).toFixed(2)} GB\n`;
+  message += `📊 <b>Load:</b> ${(snapshot.load || []).map(l => l.toFixed(2)).join(' / ')} (${show('load.perCore')} per core)\n`;
+  message += `💿 <b>Disk Free:</b> ${show('disk.freePercent')}\n`;
+  
+  if (snapshot.power && snapshot.power.onBattery !== null) {
+    const battery = snapshot.power.batteryPercent !== null ? ` ${snapshot.power.batteryPercent}%` : '';
+    message += `🔌 <b>Power:</b> ${snapshot.power.onBattery ? `🔋 Battery${battery}${snapshot.power.lowBattery ? ' ⚠️ LOW' : ''}` : `AC${battery}`}\n`;
+  }
+  
+  message += `\n🌐 <b>Probes:</b>\n`;
+  for (const probe of snapshot.probes || []) {
+    message += probe.success
+      ? `✅ ${escapeHtml(probe.host)} (${probe.type}): ${probe.time}ms\n`
+      : `❌ ${escapeHtml(probe.host)} (${probe.type}): ${escapeHtml(probe.error || 'failed')}\n`;
+  }
+  
+  if (firing.length > 0) {
+    message += `\n🚨 <b>Firing:</b>\n`;
+    message += firing.map(s => `• <code>${s.rule.id}</code> ${escapeHtml(s.rule.description)}`).join('\n') + '\n';
+  }
+  
+  if (snapshot.errors?.length > 0) {
+    message += `\n⚠️ <b>Agent Errors:</b>\n${snapshot.errors.map(e => `• ${escapeHtml(e)}`).join('\n')}\n`;
+  }
+  
+  return message;
+}
+
+bot.onText(/^\/servers(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?$/, async (msg, match) => {
+  if (!await requireRole(msg, 'ops')) return;
+  
+  const [, first, second] = match;
+  
+  try {
+    if (first === 'forget') {
+      const record = second && await store.findOne('servers', 'serverId', second);
+      if (!fleet.forget(second) && !record) {
+        return bot.sendMessage(msg.chat.id, '❌ Usage: /servers forget <server_id>');
+      }
+      if (record) {
+        await store.update('servers', record.id, { removedAt: Date.now() });
+      }
+      return bot.sendMessage(msg.chat.id, `🗑 ${second} removed from the fleet. It comes back if its agent reports again.`);
     }
     
-    // Log successful transaction
-    await logTransactionToChannel(
-      userId,
-      userInfo.username,
-      payment,
-      product,
-      'success'
-    );
+    if (first) {
+      const server = fleet.get(first);
+      if (!server) {
+        return bot.sendMessage(msg.chat.id, `❌ Unknown server: ${first}`);
+      }
+      return bot.sendMessage(msg.chat.id, formatServerDetails(server), { parse_mode: 'HTML' });
+    }
     
-    console.log(`✅ Payment processed successfully!`);
-    console.log(`💰 ${product.coins} coins notification sent to user ${userId}`);
+    const servers = fleet.list();
+    const down = servers.filter(server => server.status === 'missed').length;
     
-  } catch (error) {
-    console.error('❌ CRITICAL ERROR processing payment:', error);
-    await sendErrorLog(error, `Successful Payment - Charge: ${payment.telegram_payment_charge_id}`);
+    let message = `🖥 <b>Fleet</b> - ${servers.length} agent${servers.length === 1 ? '' : 's'}${down > 0 ? `, ${down} not reporting` : ''}\n\n`;
+    message += `<pre>${escapeHtml(formatServerTable())}</pre>\n`;
+    message += `* this bot · AL = firing alerts · /servers &lt;id&gt; for details`;
     
-    // Notify user of error
-    await bot.sendMessage(msg.chat.id,
-      `⚠️ <b>Payment Received - Processing Issue</b>\n\n` +
-      `Your payment was successful, but there was an error delivering your coins. ` +
-      `Don't worry - our team will resolve this shortly!\n\n` +
-      `<b>Payment Details:</b>\n` +
-      `Charge ID: <code>${payment.telegram_payment_charge_id}</code>\n` +
-      `Amount: ${payment.total_amount} ⭐\n\n` +
-      `Please contact support with the Charge ID above if your coins don't arrive within 24 hours.`,
-      { 
-        parse_mode: 'HTML'
-      }
-    );
+    if (!FLEET_SECRET) {
+      message += '\n\n⚠️ FLEET_SECRET is not set - agents cannot report';
+    }
     
-    // Log failed delivery for manual intervention
-    logFailedDelivery(
-      userId,
-      payment.telegram_payment_charge_id,
-      error
-    );
+    await bot.sendMessage(msg.chat.id, message, { parse_mode: 'HTML' });
+  } catch (error) {
+    console.error('❌ Servers command error:', error);
+    await bot.sendMessage(msg.chat.id, `❌ Error: ${error.message}`);
   }
-}
+});
 
 // ============================================
 // MONITORING LOOP
@@ -939,6 +4851,13 @@ async function monitoringLoop() {
   
   try {
     const pingData = await checkNetworkPing();
+    const metrics = await collectMetrics(pingData);
+    const power = await refreshPowerStatus();
+    STATE.lastMetrics = metrics;
+    
+    // The checks ran - that's what /readyz watches. A slow or failed alert
+    // send below doesn't make the loop stale.
+    STATE.lastMonitoringRun = Date.now();
     
     if (pingData.average !== null) {
       STATE.pingHistory.push(pingData.average);
@@ -957,11 +4876,15 @@ async function monitoringLoop() {
       }
     }
     
-    const currentPowerSource = getPowerSource();
-    if (STATE.lastPowerStatus && STATE.lastPowerStatus !== currentPowerSource) {
-      await sendPowerStatusChange(currentPowerSource);
+    for (const event of alertEngine.evaluate(metrics)) {
+      await sendAlert(event);
+    }
+    
+    const previousPower = STATE.lastPowerStatus;
+    STATE.lastPowerStatus = power;
+    for (const transition of detectPowerTransitions(previousPower, power)) {
+      await sendPowerStatusChange(transition, power);
     }
-    STATE.lastPowerStatus = currentPowerSource;
     
   } catch (error) {
     console.error('Monitoring error:', error);
@@ -973,7 +4896,8 @@ async function startMonitoring() {
   if (STATE.isMonitoring) return;
   
   STATE.isMonitoring = true;
-  STATE.lastPowerStatus = getPowerSource();
+  STATE.lastMonitoringRun = Date.now();
+  STATE.lastPowerStatus = await refreshPowerStatus();
   
   await sendPowerOnNotification();
   
@@ -1003,7 +4927,7 @@ function stopMonitoring() {
 // BOT COMMANDS
 // ============================================
 
-bot.onText(/\/start$/, async (msg) => {
+bot.onText(/^\/start(?:@\w+)?$/, async (msg) => {
   const chatId = msg.chat.id;
   const user = msg.from;
   
@@ -1015,6 +4939,8 @@ bot.onText(/\/start$/, async (msg) => {
     lastActive: Date.now()
   });
   
+  rememberUser(user).catch(error => console.error('❌ Error remembering user:', error));
+  
   await bot.sendMessage(chatId, 
     `👋 <b>Welcome to Void Gift!</b>\n\n` +
     `🎮 Play the spin wheel\n` +
@@ -1036,11 +4962,13 @@ bot.onText(/\/start$/, async (msg) => {
   );
 });
 
-bot.onText(/\/stats/, async (msg) => {
+bot.onText(/^\/stats(?:@\w+)?\b/, async (msg) => {
+  if (!await requireRole(msg, 'ops')) return;
+  
   const chatId = msg.chat.id;
   
   try {
-    const info = getSystemInfo();
+    const info = getSystemInfo(await refreshPowerStatus());
     const pingData = await checkNetworkPing();
     
     const message = formatSystemInfo(info) + '\n\n' + formatPingInfo(pingData);
@@ -1051,7 +4979,9 @@ bot.onText(/\/stats/, async (msg) => {
   }
 });
 
-bot.onText(/\/ping/, async (msg) => {
+bot.onText(/^\/ping(?:@\w+)?\b/, async (msg) => {
+  if (!await requireRole(msg, 'ops')) return;
+  
   const chatId = msg.chat.id;
   
   await bot.sendMessage(chatId, '🔍 Checking network...');
@@ -1066,7 +4996,9 @@ bot.onText(/\/ping/, async (msg) => {
   }
 });
 
-bot.onText(/\/monitor (.+)/, async (msg, match) => {
+bot.onText(/^\/monitor(?:@\w+)? (.+)/, async (msg, match) => {
+  if (!await requireRole(msg, 'ops')) return;
+  
   const chatId = msg.chat.id;
   const action = match[1];
   
@@ -1100,7 +5032,9 @@ bot.onText(/\/monitor (.+)/, async (msg, match) => {
   }
 });
 
-bot.onText(/\/update/, async (msg) => {
+bot.onText(/^\/update(?:@\w+)?\b/, async (msg) => {
+  if (!await requireRole(msg, 'ops')) return;
+  
   const chatId = msg.chat.id;
   
   await bot.sendMessage(chatId, '📊 Sending status update to logs...');
@@ -1113,7 +5047,7 @@ bot.onText(/\/update/, async (msg) => {
   }
 });
 
-bot.onText(/\/help/, async (msg) => {
+bot.onText(/^\/help(?:@\w+)?\b/, async (msg) => {
   const chatId = msg.chat.id;
   
   const helpText = `
@@ -1121,25 +5055,40 @@ bot.onText(/\/help/, async (msg) => {
 
 <b>Game Commands:</b>
 /start - Open the mini app
-/stats - View system & network statistics
+/subscription - View or cancel your subscriptions
+/history - Your purchases and receipts
 
-<b>Monitoring Commands:</b>
+<b>Monitoring Commands (ops):</b>
+/stats - View system & network statistics
 /ping - Check network ping
 /monitor start - Start monitoring
 /monitor stop - Stop monitoring
 /monitor status - Check monitoring status
+/alerts [reload|unmute id] - Alert rule states
+/servers [id|forget id] - Fleet status table
 /update - Send status update to logs
 
 <b>Admin Commands:</b>
-/refund [charge_id] - Refund a payment
+/admins list|grant|revoke - Manage admin roles (owner)
+/refund [charge_id] - Refund a payment (finance)
+/deliveries - List stuck coin deliveries (support)
+/redeliver [charge_id] - Retry a coin delivery now (support)
+/webhooks [retry id] - Outgoing webhook delivery status (ops)
+/reconcile [since] - Compare payments with Telegram's Star transactions (finance)
+/product list|add|edit|disable|enable - Manage the product catalog (finance)
+/promo list|create|info|disable|enable - Manage promo codes (finance)
+/fraud rules|set|whitelist|unwhitelist - Tune checkout fraud rules (finance)
+/revenue [today|7d|30d|from..to] - Revenue report (finance)
+/export [today|7d|30d|from..to] - Payments as CSV (finance)
+/funnel [today|7d|30d|from..to] - Invoice to payment conversion (finance)
 
 <b>Payment System (NEW!):</b>
 ✅ Direct invoice opening with openInvoice()
 ✅ Invoice appears as popup in Mini App
 ✅ NO chat redirect needed
 ✅ Stays in Mini App during payment
-✅ Automatic coin delivery via Cloud Storage
-✅ 13 coin packages available
+✅ Automatic coin delivery via server-side ledger
+✅ ${getSortedProducts().length} coin packages available
 ✅ Transaction logging
 ✅ Refund support
 
@@ -1147,24 +5096,34 @@ bot.onText(/\/help/, async (msg) => {
 1. User clicks "Purchase" in Mini App
 2. Invoice popup appears INSTANTLY
 3. User pays with Stars (stays in app!)
-4. Coins auto-added via Cloud Storage
+4. Coins credited to your balance on the server
 5. Balance updates immediately!
 
 <b>Technical:</b>
 - 🌐 HTTP Server: Port ${HTTP_PORT}
-- 🔗 Endpoint: POST /create-invoice
+- 🔗 Endpoints: POST /create-invoice, GET /products, GET /balance, GET /ledger, GET /purchases, GET /invoice/:id/status
+- 📡 Live invoice status: GET /invoice/:id/events (SSE)
 - 📱 Method: Telegram.WebApp.openInvoice()
-- ☁️ Storage: CloudStorage API
+- 🔄 Updates: ${STATE.updateMode || UPDATE_MODE}
+- 🔒 Auth: Signed Telegram.WebApp.initData
+- 📒 Storage: Server-side coin ledger
 - 📊 Logging: Enabled
 
 <b>Features:</b>
 - 🔋 Power status monitoring
 - 🌐 Network ping tracking
 - ⚠️ Automatic spike detection
+- 🚨 Threshold alerts with acknowledge/mute
 - 📊 Regular status updates
 - 📝 Detailed transaction logs
 - 💰 Secure Star payments
 - 💸 Admin refund system
+- 📮 Automatic coin redelivery
+- ↩️ Coins reversed on Telegram refunds
+- 🎟 Promo codes and discounts
+- 🔁 Monthly Stars subscriptions
+- 🎁 Gift coin packages to friends
+- 🪝 Signed webhooks to the game backend
   `.trim();
   
   await bot.sendMessage(chatId, helpText, { parse_mode: 'HTML' });
@@ -1177,6 +5136,34 @@ bot.onText(/\/help/, async (msg) => {
 bot.on('pre_checkout_query', handlePreCheckoutQuery);
 bot.on('successful_payment', handleSuccessfulPayment);
 
+// Inline keyboard buttons - callback_data is "<action>:<argument>[:<option>]"
+bot.on('callback_query', async (query) => {
+  const [action, argument, option] = (query.data || '').split(':');
+  
+  try {
+    if (action === 'sub_cancel' || action === 'sub_resume') {
+      await handleSubscriptionCallback(query, action, argument);
+    } else if (action === 'alert_ack' || action === 'alert_mute') {
+      await handleAlertCallback(query, action, argument, option);
+    } else if (action === 'history' || action === 'receipt') {
+      await handleHistoryCallback(query, action, argument, option);
+    } else {
+      await bot.answerCallbackQuery(query.id);
+    }
+  } catch (error) {
+    console.error('❌ Callback query error:', error);
+    await sendErrorLog(error, `Callback Query - ${query.data}`);
+    await bot.answerCallbackQuery(query.id, { text: 'Something went wrong. Please try again.' }).catch(() => {});
+  }
+});
+
+// node-telegram-bot-api has no dedicated event for refunded_payment yet
+bot.on('message', (msg) => {
+  if (msg.refunded_payment) {
+    handleRefundedPayment(msg);
+  }
+});
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -1191,6 +5178,59 @@ process.on('unhandledRejection', async (reason, promise) => {
   await sendErrorLog(new Error(String(reason)), 'Unhandled Rejection');
 });
 
+// ============================================
+// DATA RETENTION
+// ============================================
+
+// Deletes every event of invoices created before the cutoff
+async function pruneFunnelEvents(cutoff) {
+  return store.transaction(async tx => {
+    const expired = (await store.find('funnelEvents', 'stage', 'invoice_created'))
+      .filter(event => event.timestamp < cutoff);
+    
+    let count = 0;
+    for (const created of expired) {
+      for (const event of await store.find('funnelEvents', 'invoiceId', created.invoiceId)) {
+        tx.delete('funnelEvents', event.id);
+        count++;
+      }
+    }
+    return count;
+  });
+}
+
+// Deletes the records with `field` = `value` that isExpired(record) accepts
+async function pruneRecords(collection, field, value, isExpired) {
+  return store.transaction(async tx => {
+    const expired = (await store.find(collection, field, value)).filter(isExpired);
+    for (const record of expired) {
+      tx.delete(collection, record.id);
+    }
+    return expired.length;
+  });
+}
+
+async function pruneOldRecords() {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  
+  const pruned = {
+    'funnel events': await pruneFunnelEvents(now - FUNNEL_RETENTION_DAYS * day),
+    // Failed rows stay until someone retries them with /webhooks retry
+    'delivered webhooks': await pruneRecords('webhookOutbox', 'status', 'delivered',
+      item => item.deliveredAt < now - WEBHOOK_OUTBOX_RETENTION_DAYS * day),
+    // A redelivered update that was pruned is stored again, and claimCharge
+    // still skips the payment
+    'handled updates': await pruneRecords('updateInbox', 'status', 'handled',
+      record => record.handledAt < now - UPDATE_INBOX_RETENTION_DAYS * day)
+  };
+  
+  const summary = Object.entries(pruned).filter(([, count]) => count > 0);
+  if (summary.length > 0) {
+    console.log(`🧹 Pruned ${summary.map(([what, count]) => `${count} ${what}`).join(', ')}`);
+  }
+}
+
 // ============================================
 // PERIODIC TASKS
 // ============================================
@@ -1206,6 +5246,126 @@ setInterval(() => {
   }
 }, 60 * 60 * 1000);
 
+setInterval(async () => {
+  try {
+    await expireSubscriptions();
+  } catch (error) {
+    console.error('Subscription expiry error:', error);
+  }
+}, 60 * 60 * 1000);
+
+setInterval(async () => {
+  try {
+    await pruneOldRecords();
+  } catch (error) {
+    console.error('Data retention error:', error);
+  }
+}, RETENTION_INTERVAL);
+
+// ============================================
+// UPDATE DELIVERY
+// ============================================
+
+// Webhook payment updates are kept in updateInbox until their handler has
+// finished, so one that was acknowledged but cut short by a crash or restart
+// is replayed on the next start. Other updates aren't worth the writes.
+async function saveInboundUpdate(update) {
+  const chargeId = update.message?.successful_payment?.telegram_payment_charge_id;
+  if (!chargeId) return;
+  
+  await store.transaction(async tx => {
+    // Telegram retries an update it didn't get a 200 for
+    if (await store.findOne('updateInbox', 'updateId', update.update_id)) return;
+    
+    tx.insert('updateInbox', {
+      updateId: update.update_id,
+      chargeId,
+      update,
+      status: 'pending',
+      receivedAt: Date.now()
+    });
+  });
+}
+
+// Failures only leave the update pending - the replay is idempotent
+async function markUpdateHandled(chargeId) {
+  try {
+    const pending = (await store.find('updateInbox', 'chargeId', chargeId))
+      .filter(record => record.status === 'pending');
+    
+    for (const record of pending) {
+      await store.update('updateInbox', record.id, { status: 'handled', handledAt: Date.now() });
+    }
+  } catch (error) {
+    console.error(`❌ Error marking update for ${chargeId} handled:`, error.message);
+  }
+}
+
+// A payment that was already recorded would be skipped by claimCharge, so
+// if it was cut short before the ledger credit the delivery queue finishes it.
+async function replayUpdateInbox() {
+  const pending = await store.find('updateInbox', 'status', 'pending');
+  
+  for (const record of pending) {
+    const payment = await findPaymentByChargeId(record.chargeId);
+    
+    if (payment) {
+      const credited = (await store.find('ledger', 'chargeId', record.chargeId))
+        .some(e => e.reason === 'purchase' || e.reason === 'gift');
+      
+      if (!credited) {
+        await enqueueDelivery({
+          userId: payment.recipientId || payment.userId,
+          chargeId: payment.chargeId,
+          productId: payment.productId,
+          coins: payment.coinsDelivered
+        }, new Error('Interrupted before the coins were credited'));
+      }
+      
+      await markUpdateHandled(record.chargeId);
+      continue;
+    }
+    
+    console.log(`🔁 Replaying webhook update ${record.updateId} (charge ${record.chargeId})`);
+    bot.processUpdate(record.update);
+  }
+}
+
+// Telegram keeps unconfirmed updates queued while the bot switches modes:
+// neither setWebhook nor deleteWebhook is asked to drop pending updates, so
+// payments made during a restart are delivered by whichever mode comes up.
+async function startUpdates() {
+  if (UPDATE_MODE === 'webhook' && !BOT_WEBHOOK_URL) {
+    console.warn('⚠️ UPDATE_MODE=webhook needs BOT_WEBHOOK_URL - falling back to polling');
+  }
+  
+  if (UPDATE_MODE === 'webhook' && BOT_WEBHOOK_URL) {
+    const url = BOT_WEBHOOK_URL.replace(/\/+$/, '') + BOT_WEBHOOK_PATH;
+    
+    STATE.updateMode = 'webhook';
+    await bot.setWebHook(url, {
+      secret_token: BOT_WEBHOOK_SECRET,
+      drop_pending_updates: false
+    });
+    
+    const info = await bot.getWebHookInfo().catch(() => null);
+    console.log(`🪝 Receiving updates via webhook: ${url}` +
+      (info ? ` (${info.pending_update_count} pending)` : ''));
+    return;
+  }
+  
+  // getUpdates is refused while a webhook is set, e.g. after running in webhook mode
+  try {
+    await bot.deleteWebHook({ drop_pending_updates: false });
+  } catch (error) {
+    console.warn('⚠️ Could not remove webhook before polling:', error.message);
+  }
+  
+  STATE.updateMode = 'polling';
+  await bot.startPolling();
+  console.log('📡 Receiving updates via polling');
+}
+
 // ============================================
 // STARTUP
 // ============================================
@@ -1219,7 +5379,6 @@ async function startBot() {
   console.log('✅ Bot started successfully!');
   console.log('🌐 Web App URL:', WEB_APP_URL);
   console.log('💰 Payment System: Telegram Stars (openInvoice)');
-  console.log('📦 Available Packages: 13');
   console.log('📝 Transaction Logging: Enabled');
   console.log('💸 Refund System: Active');
   console.log('');
@@ -1230,16 +5389,43 @@ async function startBot() {
   console.log('   4. WebApp opens invoice with openInvoice()');
   console.log('   5. Invoice appears as POPUP in Mini App');
   console.log('   6. User pays (STAYS IN APP!)');
-  console.log('   7. Coins auto-delivered via Cloud Storage');
+  console.log('   7. Coins credited to the server-side ledger');
   console.log('   ✨ NO chat redirect - seamless UX!');
   console.log('');
   
-  // Start HTTP server
-  app.listen(HTTP_PORT, () => {
-    console.log(`🌐 HTTP Server running on port ${HTTP_PORT}`);
-    console.log(`🔗 Invoice endpoint: POST http://localhost:${HTTP_PORT}/create-invoice`);
-    console.log('');
-  });
+  // Open the payment store, importing payments.json etc. on first start
+  await store.open();
+  const migrated = await migrateLegacyFiles(store);
+  if (migrated) {
+    console.log(`📦 Migrated legacy files: ${migrated.payments} payments, ${migrated.refunds} refunds, ` +
+      `${migrated.failedDeliveries} failed deliveries, ${migrated.ledger} ledger entries`);
+  }
+  console.log(`💾 Payment store: ${DATA_DIR}`);
+  
+  if (CONFIGURED_ROLES.owner.length === 0) {
+    console.warn('⚠️ OWNER_IDS is not set - nobody can grant admin roles');
+  }
+  
+  await loadCatalog();
+  watchCatalog();
+  await loadAlerts();
+  await loadFleet();
+  await replayUpdateInbox();
+  
+  startDeliveryQueue();
+  startWebhookOutbox();
+  startReconciliation();
+  startFleetMonitoring();
+  
+  // Start HTTP server - it has to be listening before Telegram is told to
+  // send updates to it
+  await new Promise(resolve => app.listen(HTTP_PORT, resolve));
+  console.log(`🌐 HTTP Server running on port ${HTTP_PORT}`);
+  console.log(`🔗 Invoice endpoint: POST http://localhost:${HTTP_PORT}/create-invoice`);
+  console.log(`🔗 Balance endpoints: GET /balance, GET /ledger`);
+  console.log('');
+  
+  await startUpdates();
   
   // Start monitoring
   await startMonitoring();
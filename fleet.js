@@ -0,0 +1,256 @@
+// ============================================
+// FLEET MONITORING
+// ============================================
+// Shared by the bot and agent.js. Agents run on the other servers, collect
+// the same system data the bot reports about its own host and POST it as
+// signed heartbeats; the bot keeps a registry of the servers it has heard
+// from and notices when one goes quiet.
+//
+// Heartbeats are signed like outgoing webhooks: "t=<unix seconds>,v1=<hex
+// HMAC-SHA256 of `${t}.${body}`>" with the FLEET_SECRET both sides share.
+// Each heartbeat also carries the agent's send time, which has to increase,
+// so a captured heartbeat can't be replayed to keep a dead server "up".
+
+const os = require('os');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { runProbes } = require('./probes');
+const { getPowerStatus } = require('./power');
+const { AlertEngine } = require('./alerts');
+
+const SIGNATURE_HEADER = 'X-Fleet-Signature';
+const SIGNATURE_TOLERANCE = 300; // seconds either side of our clock
+const SERVER_ID_PATTERN = /^[A-Za-z0-9._-]{1,24}$/;
+
+// ============================================
+// SIGNATURES
+// ============================================
+
+function signHeartbeat(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Throws unless `header` is a current signature of the raw body
+function verifyHeartbeat(body, header, secret, now = Date.now()) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v1) {
+    throw new Error('Missing or malformed signature');
+  }
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE) {
+    throw new Error('Signature timestamp outside tolerance');
+  }
+
+  const expected = Buffer.from(signHeartbeat(body, secret, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Signature mismatch');
+  }
+}
+
+// ============================================
+// HOST SNAPSHOT
+// ============================================
+
+// fs.statfs needs Node 18.15+, hence the engines range in package.json
+async function readDiskFreePercent(diskPath) {
+  const disk = await fs.statfs(diskPath);
+  return (disk.bavail / disk.blocks) * 100;
+}
+
+// The metric names alert rules refer to (see METRICS in alerts.js)
+function buildMetrics({ memory, load, cpuCores, diskFreePercent, probes }) {
+  const succeeded = probes.filter(r => r.success);
+
+  return {
+    'memory.percent': ((memory.total - memory.free) / memory.total) * 100,
+    'load.avg1': load[0],
+    'load.perCore': load[0] / cpuCores,
+    'disk.freePercent': diskFreePercent,
+    'ping.average': succeeded.length > 0
+      ? Math.round(succeeded.reduce((sum, r) => sum + r.time, 0) / succeeded.length)
+      : null,
+    'ping.successCount': succeeded.length,
+    'ping.failedPercent': probes.length > 0
+      ? ((probes.length - succeeded.length) / probes.length) * 100
+      : null
+  };
+}
+
+// Everything an agent reports about its host in one heartbeat
+async function collectSnapshot({ probeTargets = [], diskPath = '/', power = {} } = {}) {
+  const cpus = os.cpus();
+  const snapshot = {
+    hostname: os.hostname(),
+    platform: os.platform(),
+    architecture: os.arch(),
+    cpuModel: cpus[0]?.model || 'unknown',
+    cpuCores: cpus.length,
+    uptimeSeconds: os.uptime(),
+    nodeVersion: process.version,
+    memory: { total: os.totalmem(), free: os.freemem() },
+    load: os.loadavg(),
+    diskFreePercent: null,
+    power: null,
+    probes: await runProbes(probeTargets),
+    errors: []
+  };
+
+  try {
+    snapshot.diskFreePercent = await readDiskFreePercent(diskPath);
+  } catch (error) {
+    snapshot.errors.push(`disk ${diskPath}: ${error.message}`);
+  }
+
+  const status = await getPowerStatus(power);
+  snapshot.power = {
+    onBattery: status.onBattery,
+    acOnline: status.acOnline,
+    lowBattery: status.lowBattery,
+    batteryPercent: status.battery ? status.battery.percent : null
+  };
+  if (status.error) {
+    snapshot.errors.push(`power: ${status.error}`);
+  }
+
+  snapshot.metrics = buildMetrics(snapshot);
+  return snapshot;
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+class FleetRegistry {
+  constructor({ rules = [], missedHeartbeats = 3 } = {}) {
+    this.rules = rules;
+    this.missedHeartbeats = missedHeartbeats;
+    this.servers = new Map();   // server id -> server
+  }
+
+  // Every server gets its own alert engine running the same rules
+  setRules(rules) {
+    this.rules = rules;
+    for (const server of this.servers.values()) {
+      server.alerts.setRules(rules);
+    }
+  }
+
+  // Re-adds a server known from a previous run. An 'up' server's clock starts
+  // now, so it isn't reported missing just because the bot was down. Missed
+  // and stopped servers keep their status, and lastSentAt keeps rejecting
+  // heartbeats replayed from before the restart.
+  restore({ serverId, hostname, interval, status = 'up', lastSeenAt = null, lastSentAt = 0 }, now = Date.now()) {
+    const down = status !== 'up';
+    const server = this._newServer(serverId, { hostname, interval, lastSeenAt: down ? lastSeenAt : now });
+
+    Object.assign(server, {
+      status,
+      lastSentAt: lastSentAt || 0,
+      downSince: down ? lastSeenAt : null
+    });
+
+    this.servers.set(serverId, server);
+  }
+
+  // Applies one verified heartbeat. Returns { server, transition, downFor }
+  // where transition is 'registered', 'recovered', 'stopped' or null and
+  // downFor is how long a recovered server was gone (ms).
+  record(heartbeat, now = Date.now()) {
+    const { serverId, sentAt, interval, shutdown, snapshot } = heartbeat;
+    let server = this.servers.get(serverId);
+    let transition = null;
+    let downFor = null;
+
+    if (server && sentAt <= server.lastSentAt) {
+      throw new Error(`Stale heartbeat from ${serverId}`);
+    }
+
+    if (!server) {
+      server = this._newServer(serverId, {});
+      this.servers.set(serverId, server);
+      transition = 'registered';
+    } else if (server.status !== 'up') {
+      transition = 'recovered';
+      downFor = now - server.downSince;
+    }
+
+    if (shutdown) {
+      transition = 'stopped';
+    }
+
+    Object.assign(server, {
+      hostname: snapshot?.hostname || server.hostname,
+      interval,
+      lastSeenAt: now,
+      lastSentAt: sentAt,
+      status: shutdown ? 'stopped' : 'up',
+      downSince: shutdown ? now : null
+    });
+
+    if (snapshot) {
+      server.snapshot = snapshot;
+    }
+
+    return { server, transition, downFor };
+  }
+
+  // Marks servers that have been silent for missedHeartbeats intervals and
+  // returns the ones that just crossed the line
+  checkMissed(now = Date.now()) {
+    const missed = [];
+
+    for (const server of this.servers.values()) {
+      if (server.status !== 'up') continue;
+      if (now - server.lastSeenAt > server.interval * this.missedHeartbeats) {
+        server.status = 'missed';
+        server.downSince = server.lastSeenAt;
+        missed.push(server);
+      }
+    }
+
+    return missed;
+  }
+
+  get(serverId) {
+    return this.servers.get(serverId) || null;
+  }
+
+  list() {
+    return [...this.servers.values()].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  forget(serverId) {
+    return this.servers.delete(serverId);
+  }
+
+  _newServer(id, { hostname = null, interval = 30000, lastSeenAt = null }) {
+    return {
+      id,
+      hostname,
+      status: 'up',          // up | missed | stopped
+      interval,
+      lastSeenAt,
+      lastSentAt: 0,
+      downSince: null,
+      snapshot: null,
+      alerts: new AlertEngine(this.rules)
+    };
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  SERVER_ID_PATTERN,
+  signHeartbeat,
+  verifyHeartbeat,
+  readDiskFreePercent,
+  buildMetrics,
+  collectSnapshot,
+  FleetRegistry
+};
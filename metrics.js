@@ -0,0 +1,146 @@
+// ============================================
+// PROMETHEUS METRICS
+// ============================================
+// Minimal counters and gauges rendered in the Prometheus text exposition
+// format (version 0.0.4), enough for GET /metrics without a client library.
+//
+// Counters live in memory and start from zero on every restart, which
+// Prometheus' rate() and increase() already account for. Gauges can be
+// given a collect function that sets their values right before a scrape.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// ============================================
+// METRIC TYPES
+// ============================================
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();   // label key -> { labels, value }
+  }
+
+  _key(labels) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label "${name}" for ${this.name}`);
+      }
+    }
+    return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  _entry(labels) {
+    const key = this._key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: { ...labels }, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+
+    for (const { labels, value } of this.values.values()) {
+      const pairs = this.labelNames
+        .filter(name => labels[name] !== undefined && labels[name] !== null)
+        .map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+      lines.push(`${this.name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} can only go up`);
+    }
+    this._entry(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this._entry(labels).value = value;
+  }
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  // fn() runs before every render and may be async
+  onCollect(fn) {
+    this.collectors.push(fn);
+  }
+
+  async render() {
+    for (const collect of this.collectors) {
+      await collect();
+    }
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+
+  _register(metric) {
+    if (this.metrics.some(m => m.name === metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Registry,
+  Counter,
+  Gauge
+};
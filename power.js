@@ -0,0 +1,235 @@
+// ============================================
+// POWER SUPPLY STATUS
+// ============================================
+// Reads AC and battery state from the Linux power_supply class in sysfs
+// and, optionally, a UPS through NUT's `upsc`. Both sources are read on
+// every call - nothing is cached here.
+//
+// sysfs reports energy in µWh/µW and charge in µAh/µA; time remaining is
+// in seconds when the driver provides it. Machines without any supplies
+// (most VPSes) report onBattery: null rather than guessing.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+
+const UPSC_TIMEOUT = 5000;
+
+// ============================================
+// SYSFS
+// ============================================
+
+async function readAttribute(dir, name) {
+  try {
+    return (await fs.readFile(path.join(dir, name), 'utf8')).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+async function readNumber(dir, name) {
+  const value = await readAttribute(dir, name);
+  const number = value === null ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Seconds until empty (discharging) or full (charging), from the driver's
+// own estimate or worked out from energy/charge and the current draw
+async function readTimeRemaining(dir, status) {
+  const charging = status === 'Charging';
+  const reported = await readNumber(dir, charging ? 'time_to_full_now' : 'time_to_empty_now');
+  if (reported) return reported;
+
+  for (const [now, full, rate] of [['energy_now', 'energy_full', 'power_now'], ['charge_now', 'charge_full', 'current_now']]) {
+    const level = await readNumber(dir, now);
+    const draw = Math.abs(await readNumber(dir, rate) || 0);
+    if (level === null || !draw) continue;
+
+    if (!charging) return Math.round((level / draw) * 3600);
+
+    const capacity = await readNumber(dir, full);
+    if (capacity !== null) return Math.round(((capacity - level) / draw) * 3600);
+  }
+
+  return null;
+}
+
+async function readSysfsSupplies(root) {
+  let names;
+  try {
+    names = await fs.readdir(root);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const supplies = [];
+
+  for (const name of names.sort()) {
+    const dir = path.join(root, name);
+    const type = await readAttribute(dir, 'type');
+    if (!type) continue;
+
+    if (type === 'Battery') {
+      // Peripheral batteries (mice, keyboards) set scope=Device
+      if (await readAttribute(dir, 'scope') === 'Device') continue;
+
+      const status = await readAttribute(dir, 'status');
+      supplies.push({
+        name,
+        type,
+        percent: await readNumber(dir, 'capacity'),
+        status,
+        timeRemaining: status === 'Full' ? null : await readTimeRemaining(dir, status)
+      });
+    } else {
+      supplies.push({ name, type, online: await readNumber(dir, 'online') === 1 });
+    }
+  }
+
+  return supplies;
+}
+
+// ============================================
+// NUT (upsc)
+// ============================================
+
+// "key: value" lines, e.g. "ups.status: OB DISCHRG" or "battery.charge: 87"
+function parseUpscOutput(text) {
+  const values = {};
+
+  for (const line of text.split('\n')) {
+    const match = line.match(/^([\w.]+):\s*(.*)$/);
+    if (match) values[match[1]] = match[2].trim();
+  }
+
+  const flags = (values['ups.status'] || '').split(/\s+/).filter(Boolean);
+  const percent = Number(values['battery.charge']);
+  const runtime = Number(values['battery.runtime']);
+
+  return {
+    status: values['ups.status'] || null,
+    onBattery: flags.includes('OB'),
+    onLine: flags.includes('OL'),
+    lowBattery: flags.includes('LB'),
+    charging: flags.includes('CHRG'),
+    percent: values['battery.charge'] !== undefined && Number.isFinite(percent) ? percent : null,
+    timeRemaining: values['battery.runtime'] !== undefined && Number.isFinite(runtime) ? runtime : null,
+    model: values['ups.model'] || values['device.model'] || null
+  };
+}
+
+// Runs `upsc <ups>` without a shell; ups is "name[@host[:port]]"
+function readUps(ups, upscPath = 'upsc') {
+  return new Promise((resolve, reject) => {
+    execFile(upscPath, [ups], { timeout: UPSC_TIMEOUT }, (error, stdout) => {
+      if (error) return reject(new Error(`upsc ${ups} failed: ${error.message}`));
+      resolve({ name: ups, ...parseUpscOutput(stdout) });
+    });
+  });
+}
+
+// ============================================
+// STATUS
+// ============================================
+
+// Combined view: { onBattery, acOnline, lowBattery, battery, ups, supplies, source, error }.
+// A configured UPS wins over sysfs - it's what actually feeds the machine.
+// source says which one onBattery came from: 'ups', 'sysfs' or null.
+async function getPowerStatus({ root = '/sys/class/power_supply', ups = null, upscPath, lowBatteryPercent = 20 } = {}) {
+  const status = {
+    onBattery: null,
+    acOnline: null,
+    lowBattery: false,
+    battery: null,
+    ups: null,
+    supplies: [],
+    source: null,
+    error: null,
+    checkedAt: Date.now()
+  };
+
+  try {
+    status.supplies = await readSysfsSupplies(root);
+  } catch (error) {
+    status.error = error.message;
+  }
+
+  const mains = status.supplies.filter(s => s.type !== 'Battery');
+  const battery = status.supplies.find(s => s.type === 'Battery') || null;
+
+  if (mains.length > 0) {
+    status.acOnline = mains.some(s => s.online);
+  }
+
+  if (battery) {
+    status.battery = {
+      percent: battery.percent,
+      status: battery.status,
+      charging: battery.status === 'Charging',
+      timeRemaining: battery.timeRemaining
+    };
+  }
+
+  if (status.acOnline !== null) {
+    status.onBattery = !status.acOnline && Boolean(battery);
+  } else if (battery?.status) {
+    status.onBattery = battery.status === 'Discharging';
+  }
+
+  if (status.onBattery !== null) {
+    status.source = 'sysfs';
+  }
+
+  if (ups) {
+    try {
+      status.ups = await readUps(ups, upscPath);
+      status.onBattery = status.ups.onBattery;
+      status.acOnline = status.ups.onLine;
+      status.source = 'ups';
+      status.battery = {
+        percent: status.ups.percent,
+        status: status.ups.charging ? 'Charging' : status.ups.onBattery ? 'Discharging' : 'Not charging',
+        charging: status.ups.charging,
+        timeRemaining: status.ups.timeRemaining
+      };
+    } catch (error) {
+      status.error = error.message;
+    }
+  }
+
+  status.lowBattery = Boolean(status.onBattery) && (
+    Boolean(status.ups?.lowBattery) ||
+    (status.battery?.percent !== null && status.battery?.percent !== undefined && status.battery.percent <= lowBatteryPercent)
+  );
+
+  return status;
+}
+
+// Alerts worth sending when the status moves from `previous` to `current`.
+// When upsc fails now and then, readings fall back to sysfs (or to nothing)
+// and back again - comparing across sources would flap, so those are skipped.
+function detectPowerTransitions(previous, current) {
+  if (!previous || previous.onBattery === null || current.onBattery === null) return [];
+  if (previous.source !== current.source) return [];
+
+  const transitions = [];
+
+  if (current.onBattery && !previous.onBattery) {
+    transitions.push('on_battery');
+  }
+  if (current.lowBattery && !previous.lowBattery) {
+    transitions.push('low_battery');
+  }
+  if (previous.onBattery && current.onBattery === false) {
+    transitions.push('ac_restored');
+  }
+
+  return transitions;
+}
+
+module.exports = {
+  getPowerStatus,
+  detectPowerTransitions,
+  parseUpscOutput
+};
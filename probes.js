@@ -0,0 +1,180 @@
+// ============================================
+// NETWORK PROBES
+// ============================================
+// Native TCP-connect, HTTP(S) and DNS probes used for network monitoring.
+//
+// Targets are written as URLs:
+//   tcp://host:port                  time to complete a TCP handshake
+//   http://host/path, https://...    time to the response headers
+//   dns:name, dns://server[:port]/name   time to resolve an A record
+// A "?timeout=ms" query overrides the default timeout for one target.
+// Hostnames are resolved before a TCP probe starts its clock, so the
+// reading is connection time rather than DNS time.
+
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+
+const PROBE_TYPES = ['tcp', 'http', 'dns'];
+const DEFAULT_TIMEOUT = 5000;
+
+// ============================================
+// TARGETS
+// ============================================
+
+// Parses one target URL into { type, name, timeout, ... }. Throws on
+// anything that isn't a complete tcp, http(s) or dns target.
+function parseProbeTarget(spec, defaultTimeout = DEFAULT_TIMEOUT) {
+  let url;
+  try {
+    url = new URL(spec.trim());
+  } catch (e) {
+    throw new Error(`Invalid probe target: ${spec}`);
+  }
+
+  const timeout = url.searchParams.has('timeout')
+    ? parseInt(url.searchParams.get('timeout'), 10)
+    : defaultTimeout;
+
+  if (!Number.isInteger(timeout) || timeout <= 0) {
+    throw new Error(`Invalid timeout in probe target: ${spec}`);
+  }
+
+  switch (url.protocol) {
+    case 'tcp:': {
+      const port = parseInt(url.port, 10);
+      if (!url.hostname || !port) {
+        throw new Error(`TCP probe target needs host:port: ${spec}`);
+      }
+      return { type: 'tcp', name: `${url.hostname}:${port}`, host: url.hostname, port, timeout };
+    }
+
+    case 'http:':
+    case 'https:': {
+      url.searchParams.delete('timeout');
+      return { type: 'http', name: url.host, url: url.toString(), timeout };
+    }
+
+    case 'dns:': {
+      // dns:name has no authority; dns://server/name names the resolver to ask
+      const hostname = url.host ? url.pathname.replace(/^\//, '') : url.pathname;
+      if (!hostname) {
+        throw new Error(`DNS probe target needs a name to resolve: ${spec}`);
+      }
+      return { type: 'dns', name: hostname, hostname, server: url.host || null, timeout };
+    }
+
+    default:
+      throw new Error(`Unknown probe type "${url.protocol.replace(':', '')}" in ${spec} (use ${PROBE_TYPES.join(', ')})`);
+  }
+}
+
+// Comma-separated list of target URLs
+function parseProbeTargets(list, defaultTimeout = DEFAULT_TIMEOUT) {
+  return list.split(',')
+    .map(spec => spec.trim())
+    .filter(Boolean)
+    .map(spec => parseProbeTarget(spec, defaultTimeout));
+}
+
+// ============================================
+// PROBES
+// ============================================
+
+function elapsedMs(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function withTimeout(promise, timeout, onTimeout) {
+  let timer;
+  const timed = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      onTimeout?.();
+      reject(new Error(`Timed out after ${timeout}ms`));
+    }, timeout);
+  });
+  return Promise.race([promise, timed]).finally(() => clearTimeout(timer));
+}
+
+async function probeTcp(target) {
+  const deadline = Date.now() + target.timeout;
+  const { address } = await withTimeout(dns.promises.lookup(target.host), target.timeout);
+
+  let socket;
+  const start = process.hrtime.bigint();
+
+  await withTimeout(new Promise((resolve, reject) => {
+    socket = net.connect({ host: address, port: target.port }, resolve);
+    socket.once('error', reject);
+  }), Math.max(deadline - Date.now(), 1), () => socket?.destroy());
+
+  const time = elapsedMs(start);
+  socket.destroy();
+  return { time };
+}
+
+async function probeHttp(target) {
+  const client = target.url.startsWith('https:') ? https : http;
+  let request;
+  const start = process.hrtime.bigint();
+
+  const statusCode = await withTimeout(new Promise((resolve, reject) => {
+    request = client.request(target.url, { method: 'HEAD', agent: false }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.once('error', reject);
+    request.end();
+  }), target.timeout, () => request?.destroy());
+
+  const time = elapsedMs(start);
+
+  // A 5xx means the network is fine but the site isn't
+  if (statusCode >= 500) {
+    throw new Error(`HTTP ${statusCode}`);
+  }
+  return { time, statusCode };
+}
+
+async function probeDns(target) {
+  const resolver = new dns.promises.Resolver({ timeout: target.timeout, tries: 1 });
+  if (target.server) {
+    resolver.setServers([target.server]);
+  }
+
+  const start = process.hrtime.bigint();
+  const addresses = await withTimeout(resolver.resolve4(target.hostname), target.timeout, () => resolver.cancel());
+
+  return { time: elapsedMs(start), addresses };
+}
+
+const PROBES = { tcp: probeTcp, http: probeHttp, dns: probeDns };
+
+// Never throws - failures come back as { success: false, error }
+async function runProbe(target) {
+  try {
+    const result = await PROBES[target.type](target);
+    return {
+      success: true,
+      type: target.type,
+      host: target.name,
+      ...result,
+      time: Math.round(result.time)
+    };
+  } catch (error) {
+    return { success: false, type: target.type, host: target.name, time: null, error: error.message };
+  }
+}
+
+function runProbes(targets) {
+  return Promise.all(targets.map(runProbe));
+}
+
+module.exports = {
+  PROBE_TYPES,
+  parseProbeTarget,
+  parseProbeTargets,
+  runProbe,
+  runProbes
+};
@@ -0,0 +1,117 @@
+// ============================================
+// STARS RECONCILIATION
+// ============================================
+// Diffs the Star transactions Telegram has settled against the payment
+// store: payments the store never recorded, amounts that differ, refunds
+// nobody recorded and stored payments Telegram doesn't know about.
+
+const PAGE_SIZE = 100; // Bot API maximum
+
+// ============================================
+// TRANSACTIONS
+// ============================================
+
+// getStarTransactions isn't wrapped by node-telegram-bot-api 0.64
+async function getStarTransactions(bot, offset, limit) {
+  if (typeof bot.getStarTransactions === 'function') {
+    return bot.getStarTransactions({ offset, limit });
+  }
+  return bot._request('getStarTransactions', { form: { offset, limit } });
+}
+
+// Pages through the bot's Star transactions and returns the ones dated at
+// or after `since` (ms), without walking the whole history every run.
+// Telegram documents chronological order but has served newest first, so
+// both are handled: newest first stops at the first older transaction;
+// oldest first resumes where an earlier run found only older ones - the
+// history is append-only, so those pages never need reading again.
+//
+// `cursor` ({ since, offset }) is what the previous run returned; pass the
+// returned one to the next run.
+async function fetchStarTransactions(bot, since, { cursor = null, pageSize = PAGE_SIZE } = {}) {
+  const transactions = [];
+  let offset = cursor && cursor.since <= since ? cursor.offset : 0;
+  let nextCursor = cursor;
+
+  while (true) {
+    const page = await getStarTransactions(bot, offset, pageSize);
+    const batch = page.transactions || [];
+    const newestFirst = batch.length > 1 && batch[0].date > batch[batch.length - 1].date;
+    const recent = batch.filter(t => t.date * 1000 >= since);
+
+    transactions.push(...recent);
+
+    if (newestFirst && recent.length < batch.length) break;
+    if (batch.length < pageSize) break;
+
+    offset += batch.length;
+    if (!newestFirst && recent.length === 0) {
+      nextCursor = { since, offset };
+    }
+  }
+
+  return { transactions, cursor: nextCursor };
+}
+
+// ============================================
+// DIFF
+// ============================================
+
+// Incoming payments come from a user (source); refunds go back to one
+// (receiver). Only payments stored at or after `since` are expected on
+// Telegram's side.
+async function reconcileStarTransactions(store, transactions, since) {
+  const report = {
+    since,
+    checked: 0,
+    refundsChecked: 0,
+    missing: [],
+    mismatched: [],
+    unknownRefunds: [],
+    notOnTelegram: []
+  };
+
+  const seenCharges = new Set();
+
+  for (const tx of transactions) {
+    if (tx.source?.type === 'user') {
+      report.checked++;
+      seenCharges.add(tx.id);
+
+      const payment = await store.findOne('payments', 'chargeId', tx.id);
+
+      if (!payment) {
+        report.missing.push({ chargeId: tx.id, userId: tx.source.user?.id, amount: tx.amount, date: tx.date });
+      } else if (payment.spentStars !== tx.amount) {
+        report.mismatched.push({ chargeId: tx.id, userId: payment.userId, expected: payment.spentStars, settled: tx.amount });
+      }
+    } else if (tx.receiver?.type === 'user') {
+      report.refundsChecked++;
+
+      const refund = await store.findOne('refunds', 'chargeId', tx.id);
+
+      if (!refund) {
+        report.unknownRefunds.push({ chargeId: tx.id, userId: tx.receiver.user?.id, amount: tx.amount, date: tx.date });
+      }
+    }
+  }
+
+  const payments = await store.all('payments');
+  for (const payment of payments) {
+    if (payment.createdAt >= since && !seenCharges.has(payment.chargeId)) {
+      report.notOnTelegram.push({ chargeId: payment.chargeId, userId: payment.userId, amount: payment.spentStars });
+    }
+  }
+
+  report.discrepancies = report.missing.length + report.mismatched.length +
+    report.unknownRefunds.length + report.notOnTelegram.length;
+
+  return report;
+}
+
+module.exports = {
+  PAGE_SIZE,
+  getStarTransactions,
+  fetchStarTransactions,
+  reconcileStarTransactions
+};
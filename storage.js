@@ -0,0 +1,475 @@
+// ============================================
+// TRANSACTIONAL STORE
+// ============================================
+// Append-only journal with periodic compaction into a snapshot.
+//
+// Every committed transaction is one fsync'd JSON line in the journal, so a
+// crash mid-write can only ever lose a partial last line - which is dropped
+// on the next start. Compaction writes the snapshot to a temp file and
+// renames it into place; each journal line carries a sequence number (lsn)
+// so lines already folded into the snapshot are skipped on replay.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_FILE = 'store.snapshot.json';
+const JOURNAL_FILE = 'store.journal';
+
+// Collections used by the bot and the fields they're looked up by
+const COLLECTIONS = {
+  payments: { indexes: ['chargeId', 'userId', 'invoiceId'] },
+  refunds: { indexes: ['chargeId', 'userId'] },
+  failedDeliveries: { indexes: ['chargeId', 'userId', 'invoiceId'] },
+  ledger: { indexes: ['chargeId', 'userId'] },
+  deliveries: { indexes: ['chargeId', 'userId', 'status'] },
+  promoCodes: { indexes: ['code'] },
+  promoRedemptions: { indexes: ['code', 'userId', 'chargeId'] },
+  subscriptions: { indexes: ['userId', 'chargeId', 'status'] },
+  users: { indexes: ['userId', 'username'] },
+  gifts: { indexes: ['buyerId', 'recipientId', 'chargeId'] },
+  settings: { indexes: ['key'] },
+  funnelEvents: { indexes: ['invoiceId', 'userId', 'stage'] },
+  invoices: { indexes: ['invoiceId', 'userId'] },
+  webhookOutbox: { indexes: ['eventId', 'status'] },
+  adminRoles: { indexes: ['userId', 'role'] },
+  servers: { indexes: ['serverId'] },
+  updateInbox: { indexes: ['updateId', 'chargeId', 'status'] }
+};
+
+class Store {
+  constructor({ dir, collections = COLLECTIONS, compactEvery = 1000 }) {
+    this.dir = dir;
+    this.schema = collections;
+    this.compactEvery = compactEvery;
+
+    this.collections = {};   // name -> Map(id -> record)
+    this.indexes = {};       // name -> field -> Map(value -> Set(id))
+    this.seq = {};           // name -> last assigned id
+    this.lsn = 0;            // last committed journal sequence number
+    this.journalLines = 0;
+    this.journalSize = 0;    // bytes of whole journal lines - see _commit
+    this.journal = null;
+    this.failed = null;      // set when a bad write couldn't be rolled back
+
+    this.opening = null;
+    this.queue = Promise.resolve();
+
+    for (const name of Object.keys(collections)) {
+      this._resetCollection(name);
+    }
+  }
+
+  // ============================================
+  // LOADING
+  // ============================================
+
+  open() {
+    if (!this.opening) {
+      this.opening = this._load();
+    }
+    return this.opening;
+  }
+
+  async _load() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    let snapshotLsn = 0;
+
+    try {
+      const snapshot = JSON.parse(await fs.readFile(this._path(SNAPSHOT_FILE), 'utf8'));
+      snapshotLsn = snapshot.lsn;
+      this.lsn = snapshot.lsn;
+
+      for (const [name, records] of Object.entries(snapshot.collections)) {
+        if (!this.schema[name]) continue;
+        for (const record of records) {
+          this._put(name, record);
+        }
+        this.seq[name] = Math.max(this.seq[name], snapshot.seq[name] || 0);
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    let journal = '';
+    try {
+      journal = await fs.readFile(this._path(JOURNAL_FILE), 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    const lines = journal.split('\n').filter(Boolean);
+    let tornTail = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (e) {
+        // Only the last line can be partial (crash during append)
+        if (i === lines.length - 1) {
+          tornTail = true;
+          break;
+        }
+        throw new Error(`Corrupt journal line ${i + 1} in ${this._path(JOURNAL_FILE)}`);
+      }
+
+      if (entry.lsn <= snapshotLsn) continue;
+
+      this._apply(entry.ops);
+      this.lsn = entry.lsn;
+      this.journalLines++;
+    }
+
+    this.journal = await fs.open(this._path(JOURNAL_FILE), 'a');
+    this.journalSize = (await this.journal.stat()).size;
+
+    if (tornTail) {
+      console.warn('⚠️ Dropped partial journal entry left by an interrupted write');
+      await this._compact();
+    }
+
+    this.fresh = snapshotLsn === 0 && lines.length === 0;
+  }
+
+  async close() {
+    await this.queue;
+    if (this.journal) {
+      await this.journal.close();
+      this.journal = null;
+    }
+  }
+
+  // ============================================
+  // READS
+  // ============================================
+
+  async get(collection, id) {
+    await this.open();
+    const record = this._collection(collection).get(Number(id));
+    return record ? structuredClone(record) : null;
+  }
+
+  async all(collection) {
+    await this.open();
+    return [...this._collection(collection).values()].map(r => structuredClone(r));
+  }
+
+  // Records whose indexed `field` equals `value`, oldest first
+  async find(collection, field, value) {
+    await this.open();
+    const ids = this._index(collection, field).get(String(value));
+    if (!ids) return [];
+
+    const records = this._collection(collection);
+    return [...ids].sort((a, b) => a - b).map(id => structuredClone(records.get(id)));
+  }
+
+  async findOne(collection, field, value) {
+    const [record] = await this.find(collection, field, value);
+    return record || null;
+  }
+
+  // ============================================
+  // WRITES
+  // ============================================
+
+  // Runs fn(tx) with exclusive access to the store. Inserts, updates and
+  // deletes staged on tx are committed as a single journal line once fn resolves;
+  // if fn throws, nothing is written.
+  transaction(fn) {
+    const task = this.queue.then(async () => {
+      await this.open();
+
+      const ops = [];
+      const seq = { ...this.seq };
+
+      const tx = {
+        insert: (collection, record) => {
+          this._collection(collection);
+          seq[collection] += 1;
+          const stored = { ...record, id: seq[collection] };
+          ops.push({ op: 'insert', c: collection, record: stored });
+          return structuredClone(stored);
+        },
+        update: (collection, id, patch) => {
+          if (!this._collection(collection).has(Number(id))) {
+            throw new Error(`${collection} #${id} not found`);
+          }
+          ops.push({ op: 'update', c: collection, id: Number(id), patch });
+        },
+        // Ids are never reused, so a deleted record's id stays retired
+        delete: (collection, id) => {
+          if (!this._collection(collection).has(Number(id))) {
+            throw new Error(`${collection} #${id} not found`);
+          }
+          ops.push({ op: 'delete', c: collection, id: Number(id) });
+        }
+      };
+
+      const result = await fn(tx);
+
+      if (ops.length > 0) {
+        await this._commit(ops);
+      }
+
+      return result;
+    });
+
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  insert(collection, record) {
+    return this.transaction(tx => tx.insert(collection, record));
+  }
+
+  update(collection, id, patch) {
+    return this.transaction(tx => tx.update(collection, id, patch));
+  }
+
+  delete(collection, id) {
+    return this.transaction(tx => tx.delete(collection, id));
+  }
+
+  async _commit(ops) {
+    if (this.failed) {
+      throw new Error(`Store is not accepting writes after a failed journal write: ${this.failed.message}`);
+    }
+
+    const entry = { lsn: this.lsn + 1, ts: Date.now(), ops };
+    const line = JSON.stringify(entry) + '\n';
+    const size = Buffer.byteLength(line);
+
+    try {
+      const { bytesWritten } = await this.journal.write(line);
+      if (bytesWritten !== size) {
+        throw new Error(`Short journal write (${bytesWritten} of ${size} bytes)`);
+      }
+      await this.journal.sync();
+    } catch (error) {
+      // Torn bytes left in place would sit in front of the next entry and
+      // make the journal unreadable on the next start - cut them off. If
+      // that fails too, stop writing rather than corrupt the journal.
+      try {
+        await this.journal.truncate(this.journalSize);
+      } catch (truncateError) {
+        this.failed = truncateError;
+        console.error(`❌ Could not roll back a failed journal write, store is now read-only: ${truncateError.message}`);
+      }
+      throw error;
+    }
+
+    this.journalSize += size;
+    this._apply(ops);
+    this.lsn = entry.lsn;
+    this.journalLines++;
+    this.fresh = false;
+
+    if (this.journalLines >= this.compactEvery) {
+      await this._compact();
+    }
+  }
+
+  async _compact() {
+    const snapshot = {
+      lsn: this.lsn,
+      seq: this.seq,
+      collections: {}
+    };
+
+    for (const name of Object.keys(this.schema)) {
+      snapshot.collections[name] = [...this.collections[name].values()];
+    }
+
+    const tmp = this._path(SNAPSHOT_FILE + '.tmp');
+    const handle = await fs.open(tmp, 'w');
+    try {
+      await handle.write(JSON.stringify(snapshot));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmp, this._path(SNAPSHOT_FILE));
+
+    // Safe to drop the journal now - a crash before this point just means
+    // replaying lines the snapshot already covers, which the lsn check skips
+    await this.journal.truncate(0);
+    this.journalLines = 0;
+    this.journalSize = 0;
+
+    console.log(`🗜 Store compacted at lsn ${this.lsn}`);
+  }
+
+  // ============================================
+  // INTERNALS
+  // ============================================
+
+  _apply(ops) {
+    for (const op of ops) {
+      if (op.op === 'insert') {
+        this._put(op.c, op.record);
+      } else if (op.op === 'update') {
+        const current = this.collections[op.c].get(op.id);
+        this._remove(op.c, current);
+        this._put(op.c, { ...current, ...op.patch, id: op.id });
+      } else if (op.op === 'delete') {
+        const current = this.collections[op.c].get(op.id);
+        if (!current) continue; // deleted twice in one transaction
+        this._remove(op.c, current);
+        this.collections[op.c].delete(op.id);
+      }
+    }
+  }
+
+  _put(name, record) {
+    this.collections[name].set(record.id, record);
+    this.seq[name] = Math.max(this.seq[name], record.id);
+
+    for (const field of this.schema[name].indexes) {
+      if (record[field] === undefined || record[field] === null) continue;
+      const key = String(record[field]);
+      const index = this.indexes[name][field];
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key).add(record.id);
+    }
+  }
+
+  _remove(name, record) {
+    for (const field of this.schema[name].indexes) {
+      const ids = this.indexes[name][field].get(String(record[field]));
+      if (ids) ids.delete(record.id);
+    }
+  }
+
+  _resetCollection(name) {
+    this.collections[name] = new Map();
+    this.seq[name] = 0;
+    this.indexes[name] = {};
+    for (const field of this.schema[name].indexes) {
+      this.indexes[name][field] = new Map();
+    }
+  }
+
+  _collection(name) {
+    if (!this.collections[name]) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+    return this.collections[name];
+  }
+
+  _index(name, field) {
+    this._collection(name);
+    const index = this.indexes[name][field];
+    if (!index) {
+      throw new Error(`No index on ${name}.${field}`);
+    }
+    return index;
+  }
+
+  _path(file) {
+    return path.join(this.dir, file);
+  }
+}
+
+// ============================================
+// LEGACY MIGRATION
+// ============================================
+
+async function readLegacyJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function readLegacyLines(file) {
+  try {
+    const data = await fs.readFile(file, 'utf8');
+    return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Imports payments.json, failed_deliveries.log and ledger.json from the
+// working directory into a fresh store, then renames them to *.migrated.
+// Everything is imported in one transaction so an interrupted migration
+// leaves the store empty and is simply retried on the next start.
+async function migrateLegacyFiles(store, legacyDir = '.') {
+  await store.open();
+  if (!store.fresh) return null;
+
+  const files = {
+    payments: path.join(legacyDir, 'payments.json'),
+    failedDeliveries: path.join(legacyDir, 'failed_deliveries.log'),
+    ledger: path.join(legacyDir, 'ledger.json')
+  };
+
+  const payments = await readLegacyJson(files.payments);
+  const failedDeliveries = await readLegacyLines(files.failedDeliveries);
+  const ledger = await readLegacyJson(files.ledger);
+
+  if (!payments && !failedDeliveries && !ledger) return null;
+
+  const counts = await store.transaction(tx => {
+    const seenCharges = new Set();
+    let imported = 0;
+    let refunds = 0;
+
+    for (const { id, ...payment } of payments || []) {
+      // The old id (payments.length + 1) could collide, so charge IDs dedupe
+      if (seenCharges.has(payment.chargeId)) continue;
+      seenCharges.add(payment.chargeId);
+
+      tx.insert('payments', { ...payment, legacyId: id });
+      imported++;
+
+      if (payment.refunded) {
+        tx.insert('refunds', {
+          userId: payment.userId,
+          chargeId: payment.chargeId,
+          stars: payment.spentStars,
+          source: 'migrated',
+          processedBy: null,
+          timestamp: payment.refundedAt || payment.timestamp
+        });
+        refunds++;
+      }
+    }
+
+    for (const entry of failedDeliveries || []) {
+      tx.insert('failedDeliveries', entry);
+    }
+
+    for (const { id, ...entry } of ledger || []) {
+      tx.insert('ledger', entry);
+    }
+
+    return {
+      payments: imported,
+      refunds,
+      failedDeliveries: (failedDeliveries || []).length,
+      ledger: (ledger || []).length
+    };
+  });
+
+  for (const file of Object.values(files)) {
+    try {
+      await fs.rename(file, file + '.migrated');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  Store,
+  COLLECTIONS,
+  migrateLegacyFiles
+};
@@ -0,0 +1,135 @@
+// ============================================
+// ALERT RULES ENGINE
+// ============================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { AlertEngine, validateAlertRules, loadAlertRules } = require('../alerts');
+
+const MINUTE = 60000;
+const T0 = Date.UTC(2026, 0, 1);
+
+function engineWith(rule, repeatMinutes = 0) {
+  return new AlertEngine(validateAlertRules({ repeatMinutes, rules: [{ id: 'mem', metric: 'memory.percent', op: '>', threshold: 90, ...rule }] }));
+}
+
+// Runs one check per value, a minute apart, and returns the event types
+function run(engine, values, start = T0) {
+  return values.map((value, i) => engine.evaluate({ 'memory.percent': value }, start + i * MINUTE).map(e => e.type).join(',') || '-');
+}
+
+test('validateAlertRules fills in defaults', () => {
+  const [rule] = validateAlertRules({ rules: [{ id: 'disk_low', metric: 'disk.freePercent', op: '<', threshold: 10 }] });
+
+  assert.deepEqual(rule, {
+    id: 'disk_low',
+    description: 'disk.freePercent < 10',
+    metric: 'disk.freePercent',
+    op: '<',
+    threshold: 10,
+    clearThreshold: 10,
+    for: 1,
+    clearFor: 1,
+    repeatMinutes: 60,
+    severity: 'warning'
+  });
+});
+
+test('validateAlertRules lists every problem', () => {
+  const rules = [
+    { id: 'a'.repeat(33), metric: 'memory.percent', op: '>', threshold: 1 },
+    { id: 'dup', metric: 'cpu.temp', op: '>', threshold: 1 },
+    { id: 'dup', metric: 'memory.percent', op: '=>', threshold: '1', for: 0, severity: 'page' }
+  ];
+
+  assert.throws(() => validateAlertRules({ rules }), error => {
+    const lines = error.message.split('\n').slice(1);
+    assert.deepEqual(lines, [
+      `rules[0] (${'a'.repeat(33)}): id must match /^[a-z0-9_]{1,32}$/`,
+      'rules[1] (dup): metric must be one of memory.percent, load.avg1, load.perCore, disk.freePercent, ping.average, ping.successCount, ping.failedPercent',
+      'rules[2] (dup): duplicate id',
+      'rules[2] (dup): op must be one of > >= < <= ==',
+      'rules[2] (dup): threshold must be a number',
+      'rules[2] (dup): for must be a positive integer',
+      'rules[2] (dup): severity must be one of warning, critical'
+    ]);
+    return true;
+  });
+  assert.throws(() => validateAlertRules({}), /must be an object with a "rules" array/);
+});
+
+test('32-character rule ids are still accepted', () => {
+  const [rule] = validateAlertRules({ rules: [{ id: 'a'.repeat(32), metric: 'load.avg1', op: '>', threshold: 4 }] });
+  assert.equal(rule.id.length, 32);
+});
+
+test('the shipped alerts.json loads', async () => {
+  const rules = await loadAlertRules(path.join(__dirname, '..', 'alerts.json'));
+  assert.ok(rules.length > 0);
+});
+
+test('loadAlertRules reports bad JSON', async () => {
+  const file = path.join(os.tmpdir(), `alerts-test-${process.pid}.json`);
+  await fs.writeFile(file, '{ "rules": [');
+  try {
+    await assert.rejects(loadAlertRules(file), SyntaxError);
+  } finally {
+    await fs.unlink(file);
+  }
+});
+
+test('a rule fires after `for` consecutive breaches and resolves once clear', () => {
+  const engine = engineWith({ for: 2 });
+  assert.deepEqual(run(engine, [95, 80, 95, 95, 96, 80]), ['-', '-', '-', 'firing', '-', 'resolved']);
+});
+
+test('clearThreshold stops a hovering metric from flapping', () => {
+  const engine = engineWith({ clearThreshold: 85 });
+  assert.deepEqual(run(engine, [91, 89, 91, 86, 84]), ['firing', '-', '-', '-', 'resolved']);
+});
+
+test('firing rules repeat until acknowledged', () => {
+  const engine = engineWith({}, 2);
+  assert.deepEqual(run(engine, [95, 95, 95, 95]), ['firing', '-', 'repeat', '-']);
+
+  assert.equal(engine.acknowledge('mem', '@ops'), true);
+  assert.deepEqual(run(engine, [95, 95, 95, 80], T0 + 4 * MINUTE), ['-', '-', '-', 'resolved']);
+  assert.equal(engine.status()[0].acknowledgedBy, null);
+});
+
+test('a rule that fired while muted is announced when the mute ends', () => {
+  const engine = engineWith({});
+  assert.equal(engine.mute('mem', 2, T0), true);
+
+  assert.deepEqual(run(engine, [95, 95, 95]), ['-', '-', 'firing']);
+  assert.equal(engine.status(T0 + MINUTE)[0].muted, true);
+});
+
+test('a firing that was never announced resolves silently', () => {
+  const engine = engineWith({});
+  engine.mute('mem', 10, T0);
+  assert.deepEqual(run(engine, [95, 80, 95]), ['-', '-', '-']);
+});
+
+test('missing metrics leave the rule state alone', () => {
+  const engine = engineWith({ for: 2 });
+  assert.deepEqual(run(engine, [95, null, 95]), ['-', '-', 'firing']);
+});
+
+test('setRules keeps the state of rules that still exist', () => {
+  const engine = engineWith({});
+  run(engine, [95]);
+
+  engine.setRules(validateAlertRules({ rules: [
+    { id: 'mem', metric: 'memory.percent', op: '>', threshold: 90 },
+    { id: 'load', metric: 'load.avg1', op: '>', threshold: 4 }
+  ] }));
+
+  assert.deepEqual(engine.status().map(s => [s.rule.id, s.status]), [['mem', 'firing'], ['load', 'ok']]);
+  assert.equal(engine.acknowledge('gone', '@ops'), false);
+  assert.equal(engine.mute('gone', 30), false);
+});
@@ -0,0 +1,157 @@
+// ============================================
+// FLEET MONITORING
+// ============================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+
+const {
+  signHeartbeat,
+  verifyHeartbeat,
+  buildMetrics,
+  collectSnapshot,
+  FleetRegistry
+} = require('../fleet');
+
+const SECRET = 'fleet-test-secret';
+const NOW = Date.UTC(2026, 0, 1);
+
+function heartbeat(serverId, sentAt, extra = {}) {
+  return { serverId, sentAt, interval: 30000, snapshot: { hostname: `${serverId}.local`, metrics: {} }, ...extra };
+}
+
+test('verifyHeartbeat accepts its own signature', () => {
+  const body = JSON.stringify(heartbeat('web-1', NOW));
+  const header = signHeartbeat(body, SECRET, NOW / 1000);
+
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.doesNotThrow(() => verifyHeartbeat(body, header, SECRET, NOW));
+});
+
+test('verifyHeartbeat rejects tampering, other secrets and old signatures', () => {
+  const body = JSON.stringify(heartbeat('web-1', NOW));
+  const header = signHeartbeat(body, SECRET, NOW / 1000);
+
+  assert.throws(() => verifyHeartbeat(body.replace('web-1', 'web-2'), header, SECRET, NOW), /Signature mismatch/);
+  assert.throws(() => verifyHeartbeat(body, header, 'other-secret', NOW), /Signature mismatch/);
+  assert.throws(() => verifyHeartbeat(body, header, SECRET, NOW + 301000), /outside tolerance/);
+  assert.throws(() => verifyHeartbeat(body, header.replace(/v1=.*/, 'v1=abcd'), SECRET, NOW), /Signature mismatch/);
+  assert.throws(() => verifyHeartbeat(body, '', SECRET, NOW), /Missing or malformed/);
+  assert.throws(() => verifyHeartbeat(body, undefined, SECRET, NOW), /Missing or malformed/);
+});
+
+test('buildMetrics derives the alert metrics', () => {
+  const metrics = buildMetrics({
+    memory: { total: 1000, free: 250 },
+    load: [3, 2, 1],
+    cpuCores: 4,
+    diskFreePercent: 42,
+    probes: [{ success: true, time: 10 }, { success: true, time: 31 }, { success: false, time: null }, { success: false, time: null }]
+  });
+
+  assert.deepEqual(metrics, {
+    'memory.percent': 75,
+    'load.avg1': 3,
+    'load.perCore': 0.75,
+    'disk.freePercent': 42,
+    'ping.average': 21,
+    'ping.successCount': 2,
+    'ping.failedPercent': 50
+  });
+});
+
+test('buildMetrics leaves ping metrics empty without probes', () => {
+  const metrics = buildMetrics({ memory: { total: 1, free: 1 }, load: [0, 0, 0], cpuCores: 1, diskFreePercent: null, probes: [] });
+  assert.equal(metrics['ping.average'], null);
+  assert.equal(metrics['ping.failedPercent'], null);
+});
+
+test('collectSnapshot reports this host', async () => {
+  const snapshot = await collectSnapshot({ diskPath: os.tmpdir(), power: { root: '/nonexistent' } });
+
+  assert.equal(snapshot.hostname, os.hostname());
+  assert.ok(snapshot.diskFreePercent >= 0 && snapshot.diskFreePercent <= 100);
+  assert.deepEqual(snapshot.power, { onBattery: null, acOnline: null, lowBattery: false, batteryPercent: null });
+  assert.deepEqual(snapshot.errors, []);
+  assert.equal(snapshot.metrics['disk.freePercent'], snapshot.diskFreePercent);
+});
+
+test('collectSnapshot notes a disk it cannot read', async () => {
+  const snapshot = await collectSnapshot({ diskPath: '/nonexistent/disk', power: { root: '/nonexistent' } });
+
+  assert.equal(snapshot.diskFreePercent, null);
+  assert.match(snapshot.errors[0], /^disk \/nonexistent\/disk: /);
+});
+
+test('FleetRegistry tracks registration, silence and recovery', () => {
+  const fleet = new FleetRegistry({ missedHeartbeats: 3 });
+
+  assert.equal(fleet.record(heartbeat('web-1', NOW), NOW).transition, 'registered');
+  assert.equal(fleet.record(heartbeat('web-1', NOW + 30000), NOW + 30000).transition, null);
+  assert.equal(fleet.get('web-1').hostname, 'web-1.local');
+
+  assert.deepEqual(fleet.checkMissed(NOW + 120000).map(s => s.id), []);
+  assert.deepEqual(fleet.checkMissed(NOW + 121000).map(s => s.id), ['web-1']);
+  assert.deepEqual(fleet.checkMissed(NOW + 200000), [], 'only reported once');
+
+  const { transition, downFor } = fleet.record(heartbeat('web-1', NOW + 300000), NOW + 300000);
+  assert.equal(transition, 'recovered');
+  assert.equal(downFor, 270000);
+  assert.equal(fleet.get('web-1').status, 'up');
+});
+
+test('FleetRegistry rejects replayed heartbeats', () => {
+  const fleet = new FleetRegistry();
+  fleet.record(heartbeat('web-1', NOW), NOW);
+
+  assert.throws(() => fleet.record(heartbeat('web-1', NOW), NOW + 1000), /Stale heartbeat from web-1/);
+  assert.throws(() => fleet.record(heartbeat('web-1', NOW - 1), NOW + 1000), /Stale heartbeat/);
+});
+
+test('a server that shuts down cleanly is not reported missing', () => {
+  const fleet = new FleetRegistry({ missedHeartbeats: 3 });
+  fleet.record(heartbeat('web-1', NOW), NOW);
+
+  const { transition, server } = fleet.record({ serverId: 'web-1', sentAt: NOW + 1000, interval: 30000, shutdown: true }, NOW + 1000);
+  assert.equal(transition, 'stopped');
+  assert.equal(server.status, 'stopped');
+  assert.equal(server.hostname, 'web-1.local', 'keeps the last snapshot');
+  assert.deepEqual(fleet.checkMissed(NOW + 3600000), []);
+});
+
+test('restore keeps status and replay protection across restarts', () => {
+  const fleet = new FleetRegistry({ missedHeartbeats: 3 });
+  fleet.restore({ serverId: 'up-1', hostname: 'up', interval: 30000, status: 'up', lastSeenAt: NOW - 3600000, lastSentAt: NOW - 3600000 }, NOW);
+  fleet.restore({ serverId: 'stopped-1', interval: 30000, status: 'stopped', lastSeenAt: NOW - 3600000, lastSentAt: NOW - 3600000 }, NOW);
+  fleet.restore({ serverId: 'missed-1', interval: 30000, status: 'missed', lastSeenAt: NOW - 3600000, lastSentAt: NOW - 3600000 }, NOW);
+  fleet.restore({ serverId: 'legacy-1', interval: 30000 }, NOW);
+
+  // An 'up' server's clock restarts, so the bot's own downtime isn't blamed on it
+  assert.equal(fleet.get('up-1').lastSeenAt, NOW);
+  assert.deepEqual(fleet.checkMissed(NOW + 60000), []);
+  assert.deepEqual(fleet.checkMissed(NOW + 91000).map(s => s.id), ['up-1', 'legacy-1']);
+  assert.equal(fleet.get('stopped-1').status, 'stopped');
+
+  assert.throws(() => fleet.record(heartbeat('missed-1', NOW - 3600000), NOW), /Stale heartbeat/);
+
+  const { transition, downFor } = fleet.record(heartbeat('missed-1', NOW), NOW);
+  assert.equal(transition, 'recovered');
+  assert.equal(downFor, 3600000);
+});
+
+test('each server gets its own alert engine', () => {
+  const rules = [{ id: 'mem', metric: 'memory.percent', op: '>', threshold: 90, clearThreshold: 90, for: 1, clearFor: 1, repeatMinutes: 0 }];
+  const fleet = new FleetRegistry({ rules });
+  fleet.record(heartbeat('web-1', NOW), NOW);
+  fleet.record(heartbeat('web-2', NOW), NOW);
+
+  assert.equal(fleet.get('web-1').alerts.evaluate({ 'memory.percent': 95 }, NOW).length, 1);
+  assert.equal(fleet.get('web-2').alerts.status()[0].status, 'ok');
+
+  fleet.setRules([]);
+  assert.deepEqual(fleet.get('web-1').alerts.rules, []);
+  assert.deepEqual(fleet.list().map(s => s.id), ['web-1', 'web-2']);
+  assert.equal(fleet.forget('web-2'), true);
+  assert.equal(fleet.get('web-2'), null);
+});
@@ -0,0 +1,153 @@
+// ============================================
+// POWER SUPPLY STATUS
+// ============================================
+// Builds fake power_supply trees (and a fake upsc) in a temp directory.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { getPowerStatus, detectPowerTransitions, parseUpscOutput } = require('../power');
+
+let tmp;
+
+async function writeSupply(root, name, attributes) {
+  const dir = path.join(root, name);
+  await fs.mkdir(dir, { recursive: true });
+  for (const [key, value] of Object.entries(attributes)) {
+    await fs.writeFile(path.join(dir, key), `${value}\n`);
+  }
+}
+
+async function writeUpsc(name, script) {
+  const file = path.join(tmp, name);
+  await fs.writeFile(file, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+  return file;
+}
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'power-test-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('laptop on battery from sysfs', async () => {
+  const root = path.join(tmp, 'laptop');
+  await writeSupply(root, 'AC', { type: 'Mains', online: 0 });
+  await writeSupply(root, 'BAT0', {
+    type: 'Battery',
+    status: 'Discharging',
+    capacity: 15,
+    energy_now: 20000000,  // µWh
+    power_now: 10000000    // µW - two hours left
+  });
+  await writeSupply(root, 'hidpp_battery_0', { type: 'Battery', scope: 'Device', status: 'Discharging', capacity: 5 });
+
+  const status = await getPowerStatus({ root });
+
+  assert.equal(status.source, 'sysfs');
+  assert.equal(status.onBattery, true);
+  assert.equal(status.acOnline, false);
+  assert.equal(status.lowBattery, true);
+  assert.deepEqual(status.battery, { percent: 15, status: 'Discharging', charging: false, timeRemaining: 7200 });
+  assert.deepEqual(status.supplies.map(s => s.name), ['AC', 'BAT0']);
+  assert.equal(status.error, null);
+});
+
+test('charging battery estimates time to full', async () => {
+  const root = path.join(tmp, 'charging');
+  await writeSupply(root, 'AC', { type: 'Mains', online: 1 });
+  await writeSupply(root, 'BAT0', {
+    type: 'Battery',
+    status: 'Charging',
+    capacity: 50,
+    charge_now: 2000000,   // µAh
+    charge_full: 4000000,
+    current_now: 1000000   // µA
+  });
+
+  const status = await getPowerStatus({ root });
+
+  assert.equal(status.onBattery, false);
+  assert.equal(status.lowBattery, false);
+  assert.equal(status.battery.charging, true);
+  assert.equal(status.battery.timeRemaining, 7200);
+});
+
+test('no power supplies reports unknown', async () => {
+  const status = await getPowerStatus({ root: path.join(tmp, 'missing') });
+
+  assert.equal(status.onBattery, null);
+  assert.equal(status.acOnline, null);
+  assert.equal(status.source, null);
+  assert.deepEqual(status.supplies, []);
+});
+
+test('a UPS wins over sysfs', async () => {
+  const root = path.join(tmp, 'with-ups');
+  await writeSupply(root, 'AC', { type: 'Mains', online: 1 });
+  const upscPath = await writeUpsc('upsc-ob', 'echo "ups.status: OB LB"; echo "battery.charge: 9"; echo "battery.runtime: 300"');
+
+  const status = await getPowerStatus({ root, ups: 'rack@localhost', upscPath });
+
+  assert.equal(status.source, 'ups');
+  assert.equal(status.onBattery, true);
+  assert.equal(status.lowBattery, true);
+  assert.equal(status.ups.name, 'rack@localhost');
+  assert.deepEqual(status.battery, { percent: 9, status: 'Discharging', charging: false, timeRemaining: 300 });
+});
+
+test('a failing upsc falls back to sysfs and says so', async () => {
+  const root = path.join(tmp, 'ups-down');
+  await writeSupply(root, 'AC', { type: 'Mains', online: 1 });
+  const upscPath = await writeUpsc('upsc-fail', 'echo "Error: Driver not connected" >&2; exit 1');
+
+  const status = await getPowerStatus({ root, ups: 'rack', upscPath });
+
+  assert.equal(status.source, 'sysfs');
+  assert.equal(status.onBattery, false);
+  assert.equal(status.ups, null);
+  assert.match(status.error, /^upsc rack failed/);
+});
+
+test('parseUpscOutput reads status flags and numbers', () => {
+  const ups = parseUpscOutput('ups.status: OL CHRG\nbattery.charge: 87\nbattery.runtime: n/a\nups.model: Back-UPS\n');
+
+  assert.deepEqual(ups, {
+    status: 'OL CHRG',
+    onBattery: false,
+    onLine: true,
+    lowBattery: false,
+    charging: true,
+    percent: 87,
+    timeRemaining: null,
+    model: 'Back-UPS'
+  });
+});
+
+test('detectPowerTransitions reports changes from the same source', () => {
+  const ups = (onBattery, lowBattery = false) => ({ onBattery, lowBattery, source: 'ups' });
+
+  assert.deepEqual(detectPowerTransitions(null, ups(true)), []);
+  assert.deepEqual(detectPowerTransitions(ups(false), ups(true)), ['on_battery']);
+  assert.deepEqual(detectPowerTransitions(ups(false), ups(true, true)), ['on_battery', 'low_battery']);
+  assert.deepEqual(detectPowerTransitions(ups(true), ups(true, true)), ['low_battery']);
+  assert.deepEqual(detectPowerTransitions(ups(true, true), ups(false)), ['ac_restored']);
+  assert.deepEqual(detectPowerTransitions(ups(true), ups(true)), []);
+});
+
+test('detectPowerTransitions ignores source changes and unknown readings', () => {
+  const ups = { onBattery: true, lowBattery: false, source: 'ups' };
+  const sysfs = { onBattery: false, lowBattery: false, source: 'sysfs' };
+  const unknown = { onBattery: null, lowBattery: false, source: null };
+
+  // upsc failing every other check must not flap between on_battery and ac_restored
+  assert.deepEqual(detectPowerTransitions(ups, sysfs), []);
+  assert.deepEqual(detectPowerTransitions(sysfs, ups), []);
+  assert.deepEqual(detectPowerTransitions(ups, unknown), []);
+  assert.deepEqual(detectPowerTransitions(unknown, ups), []);
+});
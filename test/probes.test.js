@@ -0,0 +1,120 @@
+// ============================================
+// NETWORK PROBES
+// ============================================
+// Runs each probe type against servers on 127.0.0.1 - no outside network.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const http = require('http');
+const dgram = require('dgram');
+
+const { parseProbeTarget, parseProbeTargets, runProbe } = require('../probes');
+
+const servers = {};
+
+function listen(server, ...args) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', ...args, () => resolve(server.address().port)));
+}
+
+// Answers every A query with 10.1.2.3
+function dnsResponse(query) {
+  const questionEnd = query.indexOf(0, 12) + 5;
+  const header = Buffer.from(query.subarray(0, 12));
+  header.writeUInt16BE(0x8180, 2); // response, recursion available, no error
+  header.writeUInt16BE(1, 6);      // one answer
+  const answer = Buffer.from([0xc0, 0x0c, 0, 1, 0, 1, 0, 0, 0, 60, 0, 4, 10, 1, 2, 3]);
+  return Buffer.concat([header, query.subarray(12, questionEnd), answer]);
+}
+
+before(async () => {
+  servers.tcp = net.createServer(socket => socket.end());
+  servers.tcpPort = await listen(servers.tcp);
+
+  servers.http = http.createServer((req, res) => {
+    if (req.url === '/hang') return; // never answers
+    res.statusCode = req.url === '/broken' ? 503 : 204;
+    res.end();
+  });
+  servers.httpPort = await listen(servers.http);
+
+  servers.dns = dgram.createSocket('udp4');
+  servers.dns.on('message', (query, peer) => servers.dns.send(dnsResponse(query), peer.port, peer.address));
+  await new Promise(resolve => servers.dns.bind(0, '127.0.0.1', resolve));
+  servers.dnsPort = servers.dns.address().port;
+
+  // A port nothing listens on: bind one, then close it
+  const closed = net.createServer();
+  servers.closedPort = await listen(closed);
+  await new Promise(resolve => closed.close(resolve));
+});
+
+after(() => {
+  servers.tcp.close();
+  servers.http.closeAllConnections();
+  servers.http.close();
+  servers.dns.close();
+});
+
+test('parseProbeTarget reads each target type', () => {
+  assert.deepEqual(parseProbeTarget('tcp://1.1.1.1:53'),
+    { type: 'tcp', name: '1.1.1.1:53', host: '1.1.1.1', port: 53, timeout: 5000 });
+  assert.deepEqual(parseProbeTarget('https://example.com/health?timeout=2000'),
+    { type: 'http', name: 'example.com', url: 'https://example.com/health', timeout: 2000 });
+  assert.deepEqual(parseProbeTarget('dns:example.com'),
+    { type: 'dns', name: 'example.com', hostname: 'example.com', server: null, timeout: 5000 });
+  assert.deepEqual(parseProbeTarget('dns://9.9.9.9/example.com', 1000),
+    { type: 'dns', name: 'example.com', hostname: 'example.com', server: '9.9.9.9', timeout: 1000 });
+});
+
+test('parseProbeTarget rejects incomplete targets', () => {
+  assert.throws(() => parseProbeTarget('not a url'), /Invalid probe target/);
+  assert.throws(() => parseProbeTarget('tcp://example.com'), /needs host:port/);
+  assert.throws(() => parseProbeTarget('dns:'), /needs a name/);
+  assert.throws(() => parseProbeTarget('icmp://example.com'), /Unknown probe type "icmp"/);
+  assert.throws(() => parseProbeTarget('tcp://example.com:80?timeout=0'), /Invalid timeout/);
+});
+
+test('parseProbeTargets skips empty entries', () => {
+  const targets = parseProbeTargets(' tcp://a:1, ,dns:b ');
+  assert.deepEqual(targets.map(t => t.name), ['a:1', 'b']);
+});
+
+test('tcp probe times a handshake', async () => {
+  const result = await runProbe(parseProbeTarget(`tcp://127.0.0.1:${servers.tcpPort}`));
+  assert.equal(result.success, true);
+  assert.equal(result.host, `127.0.0.1:${servers.tcpPort}`);
+  assert.ok(Number.isInteger(result.time) && result.time >= 0);
+});
+
+test('tcp probe reports a refused connection', async () => {
+  const result = await runProbe(parseProbeTarget(`tcp://127.0.0.1:${servers.closedPort}`));
+  assert.equal(result.success, false);
+  assert.equal(result.time, null);
+  assert.match(result.error, /ECONNREFUSED/);
+});
+
+test('http probe returns the status code', async () => {
+  const result = await runProbe(parseProbeTarget(`http://127.0.0.1:${servers.httpPort}/`));
+  assert.equal(result.success, true);
+  assert.equal(result.statusCode, 204);
+});
+
+test('http probe fails on a 5xx', async () => {
+  const result = await runProbe(parseProbeTarget(`http://127.0.0.1:${servers.httpPort}/broken`));
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'HTTP 503');
+});
+
+test('http probe gives up after its timeout', async () => {
+  const result = await runProbe(parseProbeTarget(`http://127.0.0.1:${servers.httpPort}/hang?timeout=200`));
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Timed out after 200ms');
+});
+
+test('dns probe asks the given server', async () => {
+  const result = await runProbe(parseProbeTarget(`dns://127.0.0.1:${servers.dnsPort}/probe.test`));
+  assert.equal(result.success, true);
+  assert.equal(result.host, 'probe.test');
+  assert.deepEqual(result.addresses, ['10.1.2.3']);
+});
@@ -0,0 +1,152 @@
+// ============================================
+// STARS RECONCILIATION
+// ============================================
+// Runs against a fake Bot API on 127.0.0.1 that serves getStarTransactions
+// from a list, and a store in a temp directory.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+process.env.NTBA_FIX_319 = '1'; // silences node-telegram-bot-api's promise warning
+const TelegramBot = require('node-telegram-bot-api');
+
+const { Store } = require('../storage');
+const { fetchStarTransactions, reconcileStarTransactions } = require('../reconcile');
+
+const SINCE = Date.UTC(2026, 0, 10);
+const DAY = 86400; // seconds, as Telegram dates are
+
+const api = { transactions: [], requests: [] };
+let server;
+let bot;
+let dir;
+let store;
+
+// Telegram dates are unix seconds
+function payment(id, daysAfterSince, amount = 100, userId = 7) {
+  return { id, amount, date: SINCE / 1000 + daysAfterSince * DAY, source: { type: 'user', user: { id: userId } } };
+}
+
+function refund(id, daysAfterSince, amount = 100, userId = 7) {
+  return { id, amount, date: SINCE / 1000 + daysAfterSince * DAY, receiver: { type: 'user', user: { id: userId } } };
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = new URLSearchParams(body);
+      const offset = Number(params.get('offset'));
+      const limit = Number(params.get('limit'));
+      api.requests.push({ method: req.url.split('/').pop(), offset, limit });
+
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ok: true, result: { transactions: api.transactions.slice(offset, offset + limit) } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  bot = new TelegramBot('123:abc', { polling: false, baseApiUrl: `http://127.0.0.1:${server.address().port}` });
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await store.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  api.transactions = [];
+  api.requests = [];
+  if (store) await store.close();
+  if (dir) await fs.rm(dir, { recursive: true, force: true });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reconcile-test-'));
+  store = new Store({ dir });
+});
+
+test('oldest-first history is paged and older pages are skipped next time', async () => {
+  api.transactions = [payment('o1', -3), payment('o2', -2), payment('o3', -1), payment('o4', -1), payment('n1', 1), payment('n2', 2)];
+
+  const first = await fetchStarTransactions(bot, SINCE, { pageSize: 2 });
+
+  assert.deepEqual(first.transactions.map(t => t.id), ['n1', 'n2']);
+  assert.deepEqual(api.requests.map(r => [r.method, r.offset, r.limit]),
+    [['getStarTransactions', 0, 2], ['getStarTransactions', 2, 2], ['getStarTransactions', 4, 2], ['getStarTransactions', 6, 2]]);
+  assert.deepEqual(first.cursor, { since: SINCE, offset: 4 });
+
+  api.requests = [];
+  api.transactions.push(payment('n3', 3));
+  const second = await fetchStarTransactions(bot, SINCE, { cursor: first.cursor, pageSize: 2 });
+
+  assert.deepEqual(second.transactions.map(t => t.id), ['n1', 'n2', 'n3']);
+  assert.deepEqual(api.requests.map(r => r.offset), [4, 6]);
+  assert.deepEqual(second.cursor, first.cursor);
+});
+
+test('the cursor is ignored for an earlier window', async () => {
+  api.transactions = [payment('o1', -3), payment('o2', -2), payment('n1', 1)];
+
+  const { transactions } = await fetchStarTransactions(bot, SINCE - 5 * DAY * 1000, { cursor: { since: SINCE, offset: 2 }, pageSize: 2 });
+
+  assert.deepEqual(transactions.map(t => t.id), ['o1', 'o2', 'n1']);
+  assert.equal(api.requests[0].offset, 0);
+});
+
+test('newest-first history stops at the first older transaction', async () => {
+  api.transactions = [payment('n3', 3), payment('n2', 2), payment('n1', 1), payment('o1', -1), payment('o2', -2), payment('o3', -3)];
+
+  const { transactions, cursor } = await fetchStarTransactions(bot, SINCE, { pageSize: 2 });
+
+  assert.deepEqual(transactions.map(t => t.id), ['n3', 'n2', 'n1']);
+  assert.deepEqual(api.requests.map(r => r.offset), [0, 2]);
+  assert.equal(cursor, null);
+});
+
+test('API errors are passed on', async () => {
+  const broken = new TelegramBot('123:abc', { polling: false, baseApiUrl: 'http://127.0.0.1:1' });
+  await assert.rejects(fetchStarTransactions(broken, SINCE), /ECONNREFUSED/);
+});
+
+test('the diff lists every kind of discrepancy', async () => {
+  const at = days => SINCE + days * DAY * 1000;
+  await store.insert('payments', { chargeId: 'ok', userId: 7, spentStars: 100, createdAt: at(1) });
+  await store.insert('payments', { chargeId: 'wrong', userId: 8, spentStars: 100, createdAt: at(1) });
+  await store.insert('payments', { chargeId: 'local', userId: 9, spentStars: 50, createdAt: at(2) });
+  await store.insert('payments', { chargeId: 'before', userId: 9, spentStars: 50, createdAt: at(-2) });
+  await store.insert('payments', { chargeId: 'refunded', userId: 7, spentStars: 100, createdAt: at(1) });
+  await store.insert('refunds', { chargeId: 'refunded', userId: 7, stars: 100 });
+
+  const report = await reconcileStarTransactions(store, [
+    payment('ok', 1),
+    payment('wrong', 1, 90, 8),
+    payment('unknown', 2, 25, 10),
+    payment('refunded', 1),
+    refund('refunded', 2),
+    refund('mystery', 3, 40, 11)
+  ], SINCE);
+
+  assert.equal(report.checked, 4);
+  assert.equal(report.refundsChecked, 2);
+  assert.deepEqual(report.missing, [{ chargeId: 'unknown', userId: 10, amount: 25, date: SINCE / 1000 + 2 * DAY }]);
+  assert.deepEqual(report.mismatched, [{ chargeId: 'wrong', userId: 8, expected: 100, settled: 90 }]);
+  assert.deepEqual(report.unknownRefunds, [{ chargeId: 'mystery', userId: 11, amount: 40, date: SINCE / 1000 + 3 * DAY }]);
+  assert.deepEqual(report.notOnTelegram, [{ chargeId: 'local', userId: 9, amount: 50 }]);
+  assert.equal(report.discrepancies, 4);
+});
+
+test('fetched transactions reconcile cleanly against a matching store', async () => {
+  api.transactions = [payment('o1', -1), payment('c1', 1, 250)];
+  await store.insert('payments', { chargeId: 'c1', userId: 7, spentStars: 250, createdAt: SINCE + 1000 });
+
+  const { transactions } = await fetchStarTransactions(bot, SINCE);
+  const report = await reconcileStarTransactions(store, transactions, SINCE);
+
+  assert.equal(report.checked, 1);
+  assert.equal(report.discrepancies, 0);
+});
@@ -0,0 +1,244 @@
+// ============================================
+// PAYMENT STORE
+// ============================================
+// Every test gets its own data directory under the OS temp dir.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { Store, migrateLegacyFiles } = require('../storage');
+
+let dir;
+const stores = [];
+
+function openStore(options = {}) {
+  const store = new Store({ dir, ...options });
+  stores.push(store);
+  return store;
+}
+
+async function reopen(store, options) {
+  await store.close();
+  const reopened = openStore(options);
+  await reopened.open();
+  return reopened;
+}
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+});
+
+afterEach(async () => {
+  while (stores.length > 0) {
+    await stores.pop().close();
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('insert assigns ids and indexed lookups find records', async () => {
+  const store = openStore();
+
+  const first = await store.insert('payments', { chargeId: 'c1', userId: 7, spentStars: 25 });
+  const second = await store.insert('payments', { chargeId: 'c2', userId: 7, spentStars: 50 });
+  await store.insert('payments', { chargeId: 'c3', userId: 8, spentStars: 75 });
+
+  assert.deepEqual([first.id, second.id], [1, 2]);
+  assert.deepEqual((await store.find('payments', 'userId', 7)).map(p => p.chargeId), ['c1', 'c2']);
+  assert.equal((await store.findOne('payments', 'chargeId', 'c3')).userId, 8);
+  assert.equal(await store.findOne('payments', 'chargeId', 'missing'), null);
+  assert.equal((await store.get('payments', '2')).spentStars, 50);
+  assert.equal((await store.all('payments')).length, 3);
+});
+
+test('updates move records between index entries', async () => {
+  const store = openStore();
+  const item = await store.insert('deliveries', { chargeId: 'c1', status: 'pending' });
+
+  await store.update('deliveries', item.id, { status: 'delivered' });
+
+  assert.deepEqual(await store.find('deliveries', 'status', 'pending'), []);
+  assert.deepEqual((await store.find('deliveries', 'status', 'delivered')).map(d => d.chargeId), ['c1']);
+  await assert.rejects(store.update('deliveries', 99, { status: 'failed' }), /deliveries #99 not found/);
+});
+
+test('deletes drop records and their index entries for good', async () => {
+  let store = openStore({ compactEvery: 3 });
+  await store.insert('webhookOutbox', { eventId: 'e1', status: 'delivered' });
+  await store.insert('webhookOutbox', { eventId: 'e2', status: 'delivered' });
+  await store.transaction(async tx => {
+    tx.delete('webhookOutbox', 1);
+    tx.insert('webhookOutbox', { eventId: 'e3', status: 'pending' });
+  });
+
+  assert.equal(await store.get('webhookOutbox', 1), null);
+  assert.equal(await store.findOne('webhookOutbox', 'eventId', 'e1'), null);
+  assert.deepEqual((await store.find('webhookOutbox', 'status', 'delivered')).map(e => e.eventId), ['e2']);
+  await assert.rejects(store.delete('webhookOutbox', 1), /webhookOutbox #1 not found/);
+
+  // Replayed from the snapshot and from the journal alike
+  await store.delete('webhookOutbox', 2);
+  store = await reopen(store, { compactEvery: 3 });
+
+  assert.deepEqual((await store.all('webhookOutbox')).map(e => e.eventId), ['e3']);
+  assert.equal((await store.insert('webhookOutbox', { eventId: 'e4' })).id, 4, 'deleted ids are not reused');
+});
+
+test('returned records are copies', async () => {
+  const store = openStore();
+  const inserted = await store.insert('users', { userId: 1, username: 'a' });
+  inserted.username = 'changed';
+
+  const found = await store.get('users', inserted.id);
+  found.username = 'changed again';
+
+  assert.equal((await store.get('users', inserted.id)).username, 'a');
+});
+
+test('a failed transaction writes nothing', async () => {
+  const store = openStore();
+
+  await assert.rejects(store.transaction(async tx => {
+    tx.insert('ledger', { userId: 1, amount: 100 });
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.deepEqual(await store.all('ledger'), []);
+  assert.equal((await store.insert('ledger', { userId: 1, amount: 5 })).id, 1, 'the rolled back id is reused');
+});
+
+test('transactions run one at a time', async () => {
+  const store = openStore();
+
+  // Check-then-insert inside a transaction must not race
+  const claim = () => store.transaction(async tx => {
+    if (await store.findOne('payments', 'chargeId', 'c1')) return false;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    tx.insert('payments', { chargeId: 'c1' });
+    return true;
+  });
+
+  assert.deepEqual(await Promise.all([claim(), claim(), claim()]), [true, false, false]);
+});
+
+test('unknown collections and fields are errors', async () => {
+  const store = openStore();
+
+  await assert.rejects(store.insert('nope', {}), /Unknown collection: nope/);
+  await assert.rejects(store.find('payments', 'productId', 'x'), /No index on payments.productId/);
+});
+
+test('the journal survives a restart', async () => {
+  let store = openStore();
+  await store.insert('promoCodes', { code: 'SPRING', uses: 0 });
+  await store.update('promoCodes', 1, { uses: 1 });
+
+  store = await reopen(store);
+
+  assert.equal(store.fresh, false);
+  assert.equal(store.lsn, 2);
+  assert.deepEqual(await store.findOne('promoCodes', 'code', 'SPRING'), { code: 'SPRING', uses: 1, id: 1 });
+  assert.equal((await store.insert('promoCodes', { code: 'SUMMER' })).id, 2);
+});
+
+test('compaction snapshots the store and empties the journal', async () => {
+  let store = openStore({ compactEvery: 3 });
+  for (let i = 1; i <= 4; i++) {
+    await store.insert('ledger', { userId: 1, amount: i });
+  }
+
+  const journal = await fs.readFile(path.join(dir, 'store.journal'), 'utf8');
+  assert.equal(journal.split('\n').filter(Boolean).length, 1);
+
+  store = await reopen(store, { compactEvery: 3 });
+
+  assert.equal(store.lsn, 4);
+  assert.deepEqual((await store.find('ledger', 'userId', 1)).map(e => e.amount), [1, 2, 3, 4]);
+});
+
+test('a torn last journal line is dropped, a corrupt earlier one is fatal', async () => {
+  let store = openStore();
+  await store.insert('refunds', { chargeId: 'c1', userId: 1 });
+  await store.close();
+
+  const journal = path.join(dir, 'store.journal');
+  await fs.appendFile(journal, '{"lsn":2,"ts":1,"ops":[{"op":"ins');
+
+  store = openStore();
+  await store.open();
+  assert.equal(store.lsn, 1);
+  assert.equal((await store.all('refunds')).length, 1);
+  await store.close();
+
+  await fs.writeFile(journal, 'not json\n{"lsn":1,"ts":1,"ops":[]}\n');
+  store = openStore();
+  await assert.rejects(store.open(), /Corrupt journal line 1/);
+});
+
+// Makes the next journal write put half the line on disk and then fail
+function failNextWrite(store, code = 'ENOSPC') {
+  const handle = store.journal;
+  const write = handle.write.bind(handle);
+  handle.write = async line => {
+    handle.write = write;
+    await write(line.slice(0, line.length / 2));
+    throw Object.assign(new Error(`${code}: write failed`), { code });
+  };
+}
+
+test('a failed journal write is rolled back', async () => {
+  let store = openStore();
+  await store.insert('payments', { chargeId: 'c1' });
+
+  failNextWrite(store);
+  await assert.rejects(store.insert('payments', { chargeId: 'c2' }), /ENOSPC/);
+  assert.equal(store.lsn, 1);
+  assert.equal(await store.findOne('payments', 'chargeId', 'c2'), null);
+
+  await store.insert('payments', { chargeId: 'c3' });
+
+  store = await reopen(store);
+  assert.equal(store.lsn, 2);
+  assert.deepEqual((await store.all('payments')).map(p => [p.id, p.chargeId]), [[1, 'c1'], [2, 'c3']]);
+});
+
+test('the store stops writing when a failed write cannot be rolled back', async () => {
+  let store = openStore();
+  await store.insert('payments', { chargeId: 'c1' });
+
+  failNextWrite(store, 'EIO');
+  store.journal.truncate = async () => {
+    throw new Error('EIO: truncate failed');
+  };
+
+  await assert.rejects(store.insert('payments', { chargeId: 'c2' }), /EIO: write failed/);
+  await assert.rejects(store.insert('payments', { chargeId: 'c3' }), /not accepting writes after a failed journal write: EIO: truncate failed/);
+  assert.deepEqual((await store.all('payments')).map(p => p.chargeId), ['c1']);
+
+  // What did reach the disk is a torn last line, which the next start drops
+  store = await reopen(store);
+  assert.equal(store.lsn, 1);
+});
+
+test('migrateLegacyFiles imports the old JSON files once', async () => {
+  const legacyDir = path.join(dir, 'legacy');
+  await fs.mkdir(legacyDir);
+  await fs.writeFile(path.join(legacyDir, 'payments.json'), JSON.stringify([
+    { id: 1, chargeId: 'c1', userId: 7, spentStars: 25, refunded: false },
+    { id: 2, chargeId: 'c2', userId: 7, spentStars: 50, refunded: true, refundedAt: '2025-01-02T00:00:00.000Z' },
+    { id: 2, chargeId: 'c2', userId: 7, spentStars: 50, refunded: true }
+  ]));
+  await fs.writeFile(path.join(legacyDir, 'failed_deliveries.log'), '{"chargeId":"c3","userId":8}\n');
+
+  const store = openStore({ dir: path.join(dir, 'data') });
+  const counts = await migrateLegacyFiles(store, legacyDir);
+
+  assert.deepEqual(counts, { payments: 2, refunds: 1, failedDeliveries: 1, ledger: 0 });
+  assert.equal((await store.findOne('payments', 'chargeId', 'c2')).legacyId, 2);
+  assert.equal((await store.findOne('refunds', 'chargeId', 'c2')).timestamp, '2025-01-02T00:00:00.000Z');
+  assert.deepEqual((await fs.readdir(legacyDir)).sort(), ['failed_deliveries.log.migrated', 'payments.json.migrated']);
+
+  assert.equal(await migrateLegacyFiles(store, legacyDir), null, 'only a fresh store is migrated');
+});
@@ -0,0 +1,172 @@
+// ============================================
+// OUTGOING WEBHOOKS
+// ============================================
+// Sends to a receiver on 127.0.0.1 and keeps the outbox in a temp directory.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { Store } = require('../storage');
+const { signWebhook, createWebhookEvent, retryDelay, WebhookOutbox } = require('../webhooks');
+
+const SECRET = 'webhook-test-secret';
+
+// Every request is recorded; `status` is what the receiver answers with
+// (null never answers)
+const receiver = { requests: [], status: 200 };
+let server;
+let url;
+let dir;
+let store;
+
+function outboxWith(options = {}) {
+  return new WebhookOutbox({ store, secret: SECRET, baseDelay: 1000, maxDelay: 4000, ...options });
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      if (receiver.status === null) return;
+      res.statusCode = receiver.status;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await store.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  receiver.requests = [];
+  receiver.status = 200;
+  if (store) await store.close();
+  if (dir) await fs.rm(dir, { recursive: true, force: true });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-test-'));
+  store = new Store({ dir });
+});
+
+test('signWebhook signs the timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update('1767225600.{"a":1}').digest('hex');
+  assert.equal(signWebhook('{"a":1}', SECRET, 1767225600), `t=1767225600,v1=${expected}`);
+});
+
+test('retryDelay doubles up to the maximum', () => {
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempts => retryDelay(attempts, 1000, 5000)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('an event is queued per URL and delivered with a valid signature', async () => {
+  const outbox = outboxWith();
+  const event = createWebhookEvent('payment.succeeded', { chargeId: 'c1', stars: 100 });
+
+  const items = await outbox.enqueue(event, [url, `${url}?second`]);
+  assert.deepEqual(items.map(item => [item.status, item.attempts]), [['pending', 0], ['pending', 0]]);
+
+  assert.equal(await outbox.send(items[0]), true);
+
+  const [request] = receiver.requests;
+  assert.equal(request.headers['x-webhook-id'], event.id);
+  assert.equal(request.headers['x-webhook-event'], 'payment.succeeded');
+  assert.deepEqual(JSON.parse(request.body), event);
+
+  // What a receiver does: recompute the HMAC over "<t>.<raw body>"
+  const [, timestamp, signature] = request.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+  assert.equal(signature, expected);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 5);
+
+  const stored = await store.get('webhookOutbox', items[0].id);
+  assert.equal(stored.status, 'delivered');
+  assert.equal(stored.attempts, 1);
+  assert.ok(stored.deliveredAt);
+  assert.equal((await store.get('webhookOutbox', items[1].id)).status, 'pending');
+});
+
+test('a failing receiver is retried with backoff until it recovers', async () => {
+  const outbox = outboxWith();
+  const [item] = await outbox.enqueue(createWebhookEvent('payment.refunded', {}), [url]);
+
+  receiver.status = 500;
+  const sentAt = Date.now();
+  assert.equal(await outbox.send(item), false);
+
+  let stored = await store.get('webhookOutbox', item.id);
+  assert.equal(stored.status, 'pending');
+  assert.equal(stored.lastError, 'HTTP 500');
+  assert.ok(stored.nextAttemptAt >= sentAt + 1000);
+
+  // Not due yet
+  await outbox.processPending(stored.nextAttemptAt - 1);
+  assert.equal(receiver.requests.length, 1);
+
+  await outbox.processPending(stored.nextAttemptAt);
+  stored = await store.get('webhookOutbox', item.id);
+  assert.equal(stored.attempts, 2);
+  assert.ok(stored.nextAttemptAt >= Date.now() + 1000, 'the second delay is longer');
+
+  receiver.status = 204;
+  await outbox.processPending(stored.nextAttemptAt);
+  stored = await store.get('webhookOutbox', item.id);
+  assert.equal(stored.status, 'delivered');
+  assert.equal(stored.attempts, 3);
+  assert.equal(stored.lastError, null);
+  assert.equal(receiver.requests.length, 3);
+});
+
+test('a row fails once its attempts run out, and a manual retry still sends it', async () => {
+  const exhausted = [];
+  const outbox = outboxWith({ maxAttempts: 2, onExhausted: (item, error) => exhausted.push([item.attempts, error.message]) });
+  const [item] = await outbox.enqueue(createWebhookEvent('delivery.failed', {}), [url]);
+
+  receiver.status = 503;
+  await outbox.send(item);
+  await outbox.send(await store.get('webhookOutbox', item.id));
+
+  assert.equal((await store.get('webhookOutbox', item.id)).status, 'failed');
+  assert.deepEqual(exhausted, [[2, 'HTTP 503']]);
+
+  // Failed rows are left alone by the scan
+  await outbox.processPending(Date.now() + 3600000);
+  assert.equal(receiver.requests.length, 2);
+
+  await outbox.send(await store.get('webhookOutbox', item.id), { force: true });
+  assert.equal((await store.get('webhookOutbox', item.id)).status, 'pending', 'a forced failure is not exhaustion');
+  assert.equal(exhausted.length, 1);
+
+  receiver.status = 200;
+  assert.equal(await outbox.send(await store.get('webhookOutbox', item.id), { force: true }), true);
+  assert.equal((await store.get('webhookOutbox', item.id)).status, 'delivered');
+});
+
+test('a receiver that never answers times out', async () => {
+  const outbox = outboxWith({ timeout: 200 });
+  const [item] = await outbox.enqueue(createWebhookEvent('invoice.created', {}), [url]);
+
+  receiver.status = null;
+  assert.equal(await outbox.send(item), false);
+  assert.match((await store.get('webhookOutbox', item.id)).lastError, /timeout|aborted/i);
+});
+
+test('overlapping scans send each row once', async () => {
+  const outbox = outboxWith();
+  await outbox.enqueue(createWebhookEvent('payment.succeeded', {}), [url, url]);
+
+  const later = Date.now() + 60000;
+  await Promise.all([outbox.processPending(later), outbox.processPending(later)]);
+
+  assert.equal(receiver.requests.length, 2);
+  assert.deepEqual((await store.all('webhookOutbox')).map(item => item.status), ['delivered', 'delivered']);
+});
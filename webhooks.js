@@ -0,0 +1,160 @@
+// ============================================
+// OUTGOING WEBHOOKS
+// ============================================
+// Signed POSTs of payment events to the game backend, driven by the
+// webhookOutbox collection of the store.
+//
+// Every event is written to the outbox (one row per URL) before anything is
+// sent, so a crash or an unreachable backend only delays delivery. A row is
+// retried with exponential backoff until the receiver answers 2xx or the
+// attempts run out. The receiver should dedupe on the event ID - a send that
+// timed out may still have arrived.
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const USER_AGENT = 'VoidGiftBot-Webhooks/1.0';
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>" - including the
+// timestamp lets the receiver reject replayed requests
+function signWebhook(body, secret, timestamp) {
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function createWebhookEvent(type, data, now = Date.now()) {
+  return {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    createdAt: new Date(now).toISOString(),
+    data
+  };
+}
+
+// Delay before the next attempt after `attempts` failed ones
+function retryDelay(attempts, baseDelay, maxDelay) {
+  return Math.min(baseDelay * 2 ** (attempts - 1), maxDelay);
+}
+
+// ============================================
+// OUTBOX
+// ============================================
+
+class WebhookOutbox {
+  // onExhausted(item, error) is called once a row has used up its attempts
+  constructor({ store, secret, timeout = 10000, maxAttempts = 10, baseDelay = 30000, maxDelay = 3600000, onExhausted = null }) {
+    this.store = store;
+    this.secret = secret;
+    this.timeout = timeout;
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.onExhausted = onExhausted;
+    this.processing = false;
+  }
+
+  // Writes one row per URL in a single transaction and returns the rows.
+  // Nothing is sent here; the caller makes the first attempt with send().
+  async enqueue(event, urls) {
+    const now = Date.now();
+
+    return this.store.transaction(async tx =>
+      urls.map(url => tx.insert('webhookOutbox', {
+        eventId: event.id,
+        event: event.type,
+        url,
+        body: JSON.stringify(event),
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: now + this.timeout, // leaves the first attempt to the caller
+        createdAt: now,
+        updatedAt: now
+      }))
+    );
+  }
+
+  // Sends one outbox row and records the outcome. Returns true once delivered.
+  // `force` is a manual retry: a failure doesn't count towards exhaustion.
+  async send(item, { force = false } = {}) {
+    const attempts = item.attempts + 1;
+
+    try {
+      const response = await fetch(item.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Webhook-Id': item.eventId,
+          'X-Webhook-Event': item.event,
+          [SIGNATURE_HEADER]: signWebhook(item.body, this.secret, Math.floor(Date.now() / 1000))
+        },
+        body: item.body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      await this.store.update('webhookOutbox', item.id, {
+        status: 'delivered',
+        attempts,
+        lastError: null,
+        deliveredAt: Date.now(),
+        updatedAt: Date.now()
+      });
+
+      console.log(`🪝 Webhook ${item.event} delivered to ${item.url} (attempt ${attempts})`);
+      return true;
+
+    } catch (error) {
+      const exhausted = !force && attempts >= this.maxAttempts;
+
+      await this.store.update('webhookOutbox', item.id, {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: Date.now() + retryDelay(attempts, this.baseDelay, this.maxDelay),
+        updatedAt: Date.now()
+      });
+
+      console.error(`❌ Webhook ${item.event} to ${item.url} failed (attempt ${attempts}):`, error.message);
+
+      if (exhausted && this.onExhausted) {
+        await this.onExhausted({ ...item, attempts }, error);
+      }
+
+      return false;
+    }
+  }
+
+  // Sends every pending row that is due, one at a time. Overlapping calls
+  // return straight away rather than send the same rows twice.
+  async processPending(now = Date.now()) {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const pending = await this.store.find('webhookOutbox', 'status', 'pending');
+
+      for (const item of pending) {
+        if (item.nextAttemptAt <= now) {
+          await this.send(item);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signWebhook,
+  createWebhookEvent,
+  retryDelay,
+  WebhookOutbox
+};